@@ -0,0 +1,97 @@
+const core = require("@actions/core");
+const pino = require("pino");
+const { captureScreenshots, optionsFromInputs, loadConfig, mergeOptions } = require("./screenshot.js");
+
+const log = pino({ level: process.env.LOG_LEVEL || "info" });
+
+// Read captureScreenshots() options from INPUT_* environment variables and the config file
+async function actionOptions() {
+  const inputs = Object.fromEntries(
+    Object.entries(process.env)
+      .filter(([key]) => key.startsWith("INPUT_"))
+      .map(([key, value]) => [key.slice("INPUT_".length).toLowerCase(), value]),
+  );
+  const inputOptions = {
+    ...optionsFromInputs({ ...inputs, screenshots: process.env.SCREENSHOTS }),
+    cwd: process.env.GITHUB_WORKSPACE || process.cwd(),
+  };
+  // action.yml gives every input a default, so a config file takes precedence over inputs here
+  const config = await loadConfig(inputOptions.cwd, inputOptions.config);
+  return { ...mergeOptions(inputOptions, config), config: false };
+}
+
+// Browser engines the run will launch, from the config file or the browsers input, for installing them first
+async function browsersToInstall() {
+  return (await actionOptions()).browsers || ["chromium"];
+}
+
+// Run the GitHub Action: read inputs and the config file, capture, and set outputs
+async function run() {
+  try {
+    const options = await actionOptions();
+    const { captures, failures, errors, manifest, srcset } = await captureScreenshots(options);
+
+    // Set outputs
+    const paths = captures.map((capture) => capture.path);
+    const pathsWith = (status) =>
+      captures.filter((capture) => capture.status === status).map((capture) => capture.path);
+    core.setOutput("screenshot_paths", paths.join(","));
+    if (paths.length > 0) core.setOutput("screenshot_path", paths[0]);
+    if (options.skipUnchanged) {
+      core.setOutput("updated_paths", pathsWith("updated").join(","));
+      core.setOutput("unchanged_paths", pathsWith("unchanged").join(","));
+    }
+    if (options.compare) {
+      const compared = captures.filter((capture) => capture.diffPercent !== undefined);
+      const diffs = Object.fromEntries(compared.map((capture) => [capture.outputPath, capture.diffPercent]));
+      core.setOutput("diff_percentages", JSON.stringify(diffs));
+      const snapshots = captures.flatMap((capture) => capture.snapshots || []);
+      const changed = snapshots.filter((snapshot) => snapshot.added || snapshot.removed);
+      const snapshotDiffs = Object.fromEntries(
+        changed.map(({ outputPath, added, removed }) => [outputPath, { added, removed }]),
+      );
+      core.setOutput("snapshot_diffs", JSON.stringify(snapshotDiffs));
+    }
+    if (manifest) core.setOutput("manifest", manifest);
+    if (srcset) core.setOutput("srcset", srcset);
+    core.setOutput("failures", JSON.stringify(failures));
+    const withErrors = [...captures, ...failures].filter(
+      ({ diagnostics: d }) => d && (d.status >= 400 || d.console.length || d.exceptions.length || d.requests.length),
+    );
+    const pageErrors = Object.fromEntries(withErrors.map((entry) => [entry.outputPath, entry.diagnostics]));
+    core.setOutput("page_errors", JSON.stringify(pageErrors));
+
+    // Summarize the run on the workflow's summary page
+    if (process.env.GITHUB_STEP_SUMMARY) {
+      const rows = [
+        ...captures.map((capture) => [capture.status, capture.path, capture.url, ""]),
+        ...failures.map((failure) => [failure.status, failure.outputPath, failure.url, failure.error]),
+      ];
+      await core.summary
+        .addHeading("Screenshots", 3)
+        .addTable([
+          ["Status", "Output", "URL", "Details"].map((data) => ({ data, header: true })),
+          ...rows.map((row) => row.map(String)),
+        ])
+        .write();
+    }
+
+    if (errors.length > 0) throw new Error(errors.join("\n"));
+  } catch (error) {
+    log.error({ error: error.message }, "Error taking screenshot");
+    process.exit(1);
+  }
+}
+
+module.exports = { run, browsersToInstall };
+
+// `node action.js --browsers` prints the engines to install, separated by spaces
+if (require.main === module && process.argv[2] === "--browsers") {
+  browsersToInstall().then(
+    (browsers) => process.stdout.write(browsers.join(" ") + "\n"),
+    (error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    },
+  );
+} else if (require.main === module) run();
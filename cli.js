@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+const { parseArgs } = require("util");
+const { captureScreenshots, optionsFromInputs } = require("./screenshot.js");
+
+// Flags mirror the action's inputs in kebab-case, e.g. --wait-for-function for wait_for_function
+const VALUE_FLAGS = [
+  "cwd",
+  "config",
+  "width",
+  "height",
+  "browsers",
+  "devices",
+  "selector",
+  "padding",
+  "delay",
+  "wait-until",
+  "wait-for",
+  "wait-for-hidden",
+  "wait-for-function",
+  "timeout",
+  "steps",
+  "mask",
+  "mask-color",
+  "css",
+  "clock",
+  "random-seed",
+  "media",
+  "color-scheme",
+  "locale",
+  "timezone",
+  "reduced-motion",
+  "forced-colors",
+  "geolocation",
+  "permissions",
+  "frame",
+  "margin",
+  "corner-radius",
+  "shadow",
+  "background",
+  "widths",
+  "variant-formats",
+  "srcset",
+  "srcset-sizes",
+  "format",
+  "concurrency",
+  "retries",
+  "retry-delay",
+  "fail-on",
+  "snapshots",
+  "fail-on-page-errors",
+  "ignore-page-errors",
+  "server-command",
+  "server-url",
+  "server-ready-pattern",
+  "server-timeout",
+  "root",
+  "base-path",
+  "headers",
+  "host",
+  "port",
+  "webp-options",
+  "png-options",
+  "jpeg-options",
+  "avif-options",
+  "tiff-options",
+  "gif-options",
+  "pdf-options",
+  "storage-state",
+  "cookies",
+  "http-credentials",
+  "extra-headers",
+  "login",
+  "baseline-dir",
+  "diff-threshold",
+  "color-threshold",
+  "unchanged-tolerance",
+  "manifest",
+  "discover",
+  "discover-url",
+  "discover-depth",
+  "discover-limit",
+  "discover-include",
+  "discover-exclude",
+  "discover-output",
+];
+const SWITCHES = [
+  "full-page",
+  "all-matches",
+  "wait-for-fonts",
+  "wait-for-images",
+  "disable-animations",
+  "spa",
+  "compare",
+  "skip-unchanged",
+  "continue-on-error",
+];
+
+const USAGE = `Usage: github-screenshots [--url urlPath=outputPath]... [options]
+
+Captures screenshots of pages served from the current directory (or --cwd) or at absolute URLs.
+
+  --url /=home.webp         Page and output file. Repeat for more pages. Defaults to /=screenshot.webp
+  --discover crawl          Also capture pages from the sitemap, HTML files or by crawling links
+  --width 1440              Any action input as a kebab-case flag, e.g. --wait-for-function, --devices
+  --full-page, --compare    Inputs that are true or false are switches
+  --help                    Show this help
+
+A screenshots.config.{json,yaml,yml} in the directory fills in options not given as flags.
+See https://github.com/krishna-gramener/github-screenshots#configuration-options for every option.
+`;
+
+// Plain-text table of every capture and failure, with columns padded to their widest cell
+function summaryTable(captures, failures) {
+  const rows = [
+    ["STATUS", "OUTPUT", "DETAILS"],
+    ...captures.map((capture) => [capture.status, capture.path, capture.url]),
+    ...failures.map((failure) => [failure.status, failure.outputPath, failure.error]),
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => String(row[column]).length)));
+  return rows
+    .map(
+      (row) =>
+        row
+          .map((cell, column) => String(cell).padEnd(widths[column]))
+          .join("  ")
+          .trimEnd() + "\n",
+    )
+    .join("");
+}
+
+// Run the CLI with the given arguments and resolve to its exit code
+async function main(args = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      url: { type: "string", multiple: true },
+      help: { type: "boolean" },
+      ...Object.fromEntries(VALUE_FLAGS.map((flag) => [flag, { type: "string" }])),
+      ...Object.fromEntries(SWITCHES.map((flag) => [flag, { type: "boolean" }])),
+    },
+  });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const inputs = { screenshots: values.url && values.url.join("\n") };
+  for (const flag of [...VALUE_FLAGS, ...SWITCHES]) {
+    if (values[flag] !== undefined) inputs[flag.replace(/-/g, "_")] = String(values[flag]);
+  }
+  const { captures, failures, errors } = await captureScreenshots(optionsFromInputs(inputs));
+  if (failures.length > 0) process.stderr.write(summaryTable(captures, failures));
+  for (const error of errors) console.error(`github-screenshots: ${error}`);
+  return errors.length > 0 ? 1 : 0;
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  main().then(
+    (code) => (process.exitCode = code),
+    (error) => {
+      console.error(`github-screenshots: ${error.message}`);
+      process.exitCode = 1;
+    },
+  );
+}
@@ -1,108 +1,1768 @@
-const { chromium } = require("playwright");
+const { chromium, firefox, webkit, devices } = require("playwright");
 const sharp = require("sharp");
 const path = require("path");
+const crypto = require("crypto");
 const fs = require("fs").promises;
+const { spawn } = require("child_process");
+const { stripVTControlCharacters } = require("util");
 const polka = require("polka");
 const sirv = require("sirv");
 const pino = require("pino");
+const YAML = require("yaml");
+const Ajv2019 = require("ajv/dist/2019");
 
 // Configure minimal logger and helpers
 const log = pino({ level: process.env.LOG_LEVEL || "info" });
+const engines = { chromium, firefox, webkit };
 const ensureDir = async (dir) => fs.mkdir(dir, { recursive: true });
+const withSuffix = (file, suffix, ext = path.extname(file)) =>
+  file.slice(0, file.length - path.extname(file).length) + suffix + ext; // ("a.png", "-1") => "a-1.png"
 
-// Create a simple HTTP server with polka and sirv
-async function createServer(rootDir, host, port) {
+const parseJson = (name, value) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+};
+
+// Replace ${NAME} in strings, arrays and objects with environment variables, so secrets stay out of configs
+function expandEnv(value) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{([A-Z_][A-Z0-9_]*)\}/g, (match, name) => {
+      if (process.env[name] === undefined) throw new Error(`Environment variable ${name} is not set`);
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, expandEnv(v)]));
+  }
+  return value;
+}
+
+// Validate configs against the published schema, collecting every error rather than stopping at the first
+const validateConfig = new Ajv2019({ allErrors: true, allowUnionTypes: true }).compile(
+  require("./screenshots.schema.json"),
+);
+const formatSchemaError = ({ instancePath, message, params }) => {
+  // "/pages/2/width" => "pages[2].width"
+  const where = instancePath
+    .split("/")
+    .slice(1)
+    .map((key, i) => (/^\d+$/.test(key) ? `[${key}]` : (i ? "." : "") + key))
+    .join("");
+  const detail = params.additionalProperty || params.unevaluatedProperty || params.allowedValues?.join(", ");
+  return `${where || "(root)"} ${message}${detail ? ` (${detail})` : ""}`;
+};
+
+// Load screenshots.config.{json,yaml,yml} (or an explicit path) from the workspace, if present. false skips it
+async function loadConfig(workspacePath, configPath) {
+  if (configPath === false) return {};
+  const candidates = configPath
+    ? [configPath]
+    : ["screenshots.config.json", "screenshots.config.yaml", "screenshots.config.yml"];
+  for (const candidate of candidates) {
+    const file = path.resolve(workspacePath, candidate);
+    let text;
+    try {
+      text = await fs.readFile(file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT" && !configPath) continue;
+      throw new Error(`Cannot read config ${candidate}: ${error.message}`);
+    }
+    let config;
+    try {
+      config = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Cannot parse config ${candidate}: ${error.message}`);
+    }
+    if (!validateConfig(config)) {
+      const problems = validateConfig.errors
+        .filter((error) => error.keyword !== "if") // the failing then/else branch is reported on its own
+        .map((error) => `\n  - ${formatSchemaError(error)}`)
+        .join("");
+      throw new Error(`Invalid config ${candidate}:${problems}`);
+    }
+    log.info("Loaded config", { file });
+    return config;
+  }
+  return {};
+}
+
+// Create a simple HTTP server with polka and sirv, serving rootDir under basePath (e.g. "/repo-name/").
+// Falls back to a free port if the port is taken, and resolves to the listening http.Server
+async function createServer(rootDir, { host, port, basePath, spa, headers }) {
+  const app = polka()
+    .use((req, res, next) => {
+      for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+      // Strip the base path, e.g. "/repo-name/about.html" => "/about.html". Anything outside it is not found
+      const url = req.url === basePath.slice(0, -1) ? basePath : req.url;
+      if (!url.startsWith(basePath)) {
+        res.statusCode = 404;
+        return res.end("Not found");
+      }
+      req.url = url.slice(basePath.length - 1);
+      next();
+    })
+    .use(sirv(rootDir, { dev: true, single: spa })); // single: serve index.html for unknown paths
   return new Promise((resolve, reject) => {
-    // Create server with sirv middleware
-    const server = polka()
-      .use(sirv(rootDir, { dev: true }))
-      .listen(port, host, (err) => {
-        if (err) return reject(err);
-        log.info("Server listening", { host, port, rootDir });
-        resolve(server);
-      });
+    const { server } = app.listen(port, host, () => {
+      log.info("Server listening", { host, port: server.address().port, rootDir, basePath });
+      resolve(server);
+    });
+    server.on("error", (error) => {
+      if (error.code !== "EADDRINUSE" || !port) return reject(error);
+      log.warn("Port in use, using a free port instead", { port });
+      server.close();
+      server.listen(0, host);
+    });
   });
 }
 
-(async () => {
-  // Setup environment and parse inputs
-  const workspacePath = process.env.GITHUB_WORKSPACE || process.cwd();
-  const parsePairs = (input) =>
-    (input || "/=screenshot.webp")
-      .split(/[\n,]+/) // support commas or newlines with whitespace
-      .map((s) => s.trim())
-      .filter(Boolean)
-      .map((p) => {
-        const [urlPath, outputPath] = p.split("=").map((x) => x.trim());
-        return { urlPath, outputPath };
+// Run the user's server command (e.g. "npm run preview") in its own process group, and wait until a log line
+// matches readyPattern or, without one, until url responds. Rejects with the command's last output on failure
+async function startCommand(command, { cwd, url, readyPattern, timeout }) {
+  const child = spawn(command, {
+    cwd,
+    shell: true,
+    detached: process.platform !== "win32", // lets stopCommand() signal the whole process tree
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  // Ctrl+C or a cancelled job signals this process but not the command's process group. Stop the command, then
+  // let the signal end this process as it would have
+  const signals = ["SIGINT", "SIGTERM"];
+  const onSignal = (signal) => stopCommand(child).then(() => process.kill(process.pid, signal));
+  for (const signal of signals) process.once(signal, onSignal);
+  child.once("exit", () => {
+    for (const signal of signals) process.off(signal, onSignal);
+  });
+  let output = "";
+  let timer = null;
+  const ready = new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      // Keep the last 10 KB without terminal colors, for the ready pattern and error messages
+      output = (output + stripVTControlCharacters(chunk.toString())).slice(-10000);
+      if (readyPattern && new RegExp(readyPattern).test(output)) resolve();
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("error", reject);
+    child.on("exit", (code) => reject(new Error(`Server command exited with code ${code} before it was ready`)));
+    timer = setTimeout(() => reject(new Error(`Server command was not ready after ${timeout}ms`)), timeout);
+    // Any HTTP response, even a 404, means the server is up
+    const poll = () =>
+      fetch(url, { signal: AbortSignal.timeout(5000) }).then(resolve, () => {
+        if (child.exitCode === null && timer) setTimeout(poll, 250);
       });
-  const screenshotPairs = parsePairs(process.env.SCREENSHOTS);
-
-  // Parse viewport and image options
-  const viewportWidth = parseInt(process.env.INPUT_WIDTH || "1280", 10);
-  const viewportHeight = process.env.INPUT_HEIGHT ? parseInt(process.env.INPUT_HEIGHT, 10) : null;
-  const options = {
-    webp: process.env.INPUT_WEBP_OPTIONS
-      ? JSON.parse(process.env.INPUT_WEBP_OPTIONS)
-      : { lossless: true, quality: 100 },
-    png: process.env.INPUT_PNG_OPTIONS ? JSON.parse(process.env.INPUT_PNG_OPTIONS) : { quality: 100 },
-    jpeg: process.env.INPUT_JPEG_OPTIONS ? JSON.parse(process.env.INPUT_JPEG_OPTIONS) : { quality: 90 },
+    if (!readyPattern) poll();
+  });
+  log.info("Started server command", { command, pid: child.pid });
+  try {
+    await ready;
+    return child;
+  } catch (error) {
+    await stopCommand(child);
+    const tail = output.trim().split("\n").slice(-20).join("\n");
+    throw new Error(tail ? `${error.message}. Its last output:\n${tail}` : error.message);
+  } finally {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+// Stop a command started by startCommand() and every process it spawned, forcing them after 5 seconds
+async function stopCommand(child) {
+  const kill = (signal) => {
+    try {
+      if (process.platform === "win32") spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"]);
+      else process.kill(-child.pid, signal); // the negative pid signals the process group
+    } catch {
+      // Already gone
+    }
   };
+  const exited =
+    child.exitCode !== null || child.signalCode !== null
+      ? Promise.resolve()
+      : new Promise((resolve) => child.once("exit", resolve));
+  kill("SIGTERM");
+  let timer;
+  const forced = new Promise((resolve) => (timer = setTimeout(() => resolve(true), 5000)));
+  if (await Promise.race([exited, forced])) kill("SIGKILL");
+  clearTimeout(timer);
+  log.info("Stopped server command", { pid: child.pid });
+}
 
-  // Start local server if needed
-  let server = null;
-  const port = parseInt(process.env.INPUT_PORT || "3000", 10);
-  const host = process.env.INPUT_HOST || "0.0.0.0";
-  const isAbsoluteUrl = (url) => /^https?:\/\//i.test(url);
-  if (screenshotPairs.some((pair) => !isAbsoluteUrl(pair.urlPath))) {
-    log.info("Starting local server", { host, port });
-    server = await createServer(workspacePath, host, port);
+// Resolve devices ("iPhone 13"), viewports ("375x667@2") or JSON objects into browser context options
+function parseDevices(input) {
+  if (!input || (typeof input === "string" && !input.trim()))
+    return [{ name: "default", slug: "default", contextOptions: {} }];
+  const entries = Array.isArray(input)
+    ? input
+    : input.trim().startsWith("[")
+      ? parseJson("devices", input)
+      : input
+          .split(/[\n,]+/)
+          .map((s) => s.trim())
+          .filter(Boolean);
+  return entries.map((entry) => {
+    if (typeof entry === "string") {
+      const size = entry.match(/^(\d+)x(\d+)(?:@([\d.]+))?$/);
+      entry = size
+        ? { name: entry, width: +size[1], height: +size[2], ...(size[3] && { deviceScaleFactor: +size[3] }) }
+        : { name: entry, device: entry };
+    }
+    const { name, device, width, height, ...contextOptions } = entry;
+    // Start from the Playwright descriptor, if any, and let explicit settings override it
+    let descriptor = {};
+    if (device) {
+      if (!devices[device]) throw new Error(`Unknown device "${device}". See Playwright's device list`);
+      const { defaultBrowserType: _browserType, ...rest } = devices[device];
+      descriptor = rest;
+    }
+    const viewport = { ...descriptor.viewport, ...(width && { width }), ...(height && { height }) };
+    return {
+      name: name || device,
+      slug: String(name || device)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, ""),
+      width: viewport.width,
+      height: viewport.height,
+      contextOptions: { ...descriptor, ...contextOptions, ...(viewport.width && { viewport }) },
+    };
+  });
+}
+
+// Name a page after its URL path, e.g. "/docs/intro.html" => "docs-intro", "/" => "index"
+const pageName = (urlPath) =>
+  urlPath
+    .replace(/^https?:\/\/[^/]+/i, "")
+    .replace(/[?#].*$/, "")
+    .replace(/\.html?$/i, "")
+    .replace(/^\/+|\/+$/g, "")
+    .replace(/\//g, "-") || "index";
+
+// Output path for a page from its URL path, keeping folders, e.g. "/docs/intro.html" => "docs/intro",
+// "/docs/" => "docs/index"
+const pagePath = (urlPath) => {
+  const file = urlPath
+    .replace(/^https?:\/\/[^/]+/i, "")
+    .replace(/[?#].*$/, "")
+    .replace(/\.html?$/i, "");
+  return (file.endsWith("/") ? file + "index" : file).replace(/^\/+/, "") || "index";
+};
+
+// Treat "/docs/index.html" and "/docs/" as the same page
+const normalizePageUrl = (url) => url.replace(/\/index\.html?(?=$|\?)/i, "/");
+
+// Match URL paths against globs: "*" within a path segment, "**" across segments, e.g. "/docs/**"
+const globToRegExp = (glob) =>
+  new RegExp(
+    "^" +
+      glob
+        .split("**")
+        .map((part) =>
+          part
+            .split("*")
+            .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+            .join("[^/]*"),
+        )
+        .join(".*") +
+      "$",
+  );
+
+// Read page URLs from a sitemap, following sitemap indexes. localize maps each <loc> to the URL to use
+async function readSitemap(url, localize) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Cannot read sitemap ${url}: HTTP ${response.status}`);
+  const xml = await response.text();
+  const locs = Array.from(xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi), (match) =>
+    localize(match[1].replace(/&amp;/g, "&")),
+  );
+  if (!/<sitemapindex[\s>]/i.test(xml)) return locs;
+  return (await Promise.all(locs.map((loc) => readSitemap(loc, localize)))).flat();
+}
+
+// List the HTML files under rootDir as URL paths, e.g. "/about.html", and "/docs/" for docs/index.html. Files in
+// skip (absolute paths) are left out
+async function findHtmlFiles(rootDir, skip = [], dir = rootDir) {
+  const paths = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) paths.push(...(await findHtmlFiles(rootDir, skip, file)));
+    else if (/\.html?$/i.test(entry.name) && !skip.includes(file)) {
+      paths.push(normalizePageUrl("/" + path.relative(rootDir, file).split(path.sep).join("/")));
+    }
+  }
+  return paths.sort();
+}
+
+// Follow same-origin links breadth-first from startUrl, up to depth clicks away, returning up to limit in-scope
+// pages. Pages out of scope are not visited; links to files other than HTML are skipped. Pages in skip are
+// followed but not returned, so they don't count towards the limit
+async function crawl(page, startUrl, { depth, limit, inScope, skip = new Set(), waitUntil, timeout }) {
+  const { origin } = new URL(startUrl);
+  const seen = new Set([startUrl]);
+  const found = [];
+  let level = [startUrl];
+  for (let distance = 0; distance <= depth && level.length > 0 && found.length < limit; distance++) {
+    const nextLevel = [];
+    for (const url of level) {
+      if (inScope(url) && !skip.has(normalizePageUrl(url))) {
+        found.push(url);
+        if (found.length >= limit) break;
+      }
+      if (distance === depth) continue;
+      log.info("Crawling", { url });
+      try {
+        await page.goto(url, { waitUntil, timeout });
+      } catch (error) {
+        log.warn("Could not crawl page", { url, error: error.message });
+        continue;
+      }
+      const links = await page.evaluate(() => Array.from(document.querySelectorAll("a[href]"), (a) => a.href));
+      for (const link of links) {
+        const target = new URL(link);
+        target.hash = "";
+        const href = normalizePageUrl(target.href);
+        if (target.origin !== origin || /\.(?!html?$)\w+$/i.test(target.pathname)) continue;
+        if (seen.has(href) || !inScope(href)) continue;
+        seen.add(href);
+        nextLevel.push(href);
+      }
+    }
+    level = nextLevel;
+  }
+  return found;
+}
+
+// Wait until the page is ready to capture: selectors, a JS condition, fonts, images, then a fixed delay
+async function waitForPage(page, opts) {
+  const { timeout } = opts;
+  if (opts.waitFor) await page.waitForSelector(opts.waitFor, { state: "visible", timeout });
+  if (opts.waitForHidden) await page.waitForSelector(opts.waitForHidden, { state: "hidden", timeout });
+  if (opts.waitForFunction) await page.waitForFunction(opts.waitForFunction, null, { timeout });
+  if (opts.waitForFonts) await page.waitForFunction(() => document.fonts.ready.then(() => true), null, { timeout });
+  if (opts.waitForImages) {
+    // Polls until every image has loaded (or failed) and the loaded ones are decoded
+    const imagesReady = () =>
+      Promise.all(
+        Array.from(document.images)
+          .filter((img) => img.complete && img.naturalWidth)
+          .map((img) => img.decode().catch(() => {})),
+      ).then(() => Array.from(document.images).every((img) => img.complete));
+    await page.waitForFunction(imagesReady, null, { timeout });
+  }
+  await page.waitForTimeout(opts.delay);
+}
+
+// Run declarative interaction steps such as { click: "#tab-2" } or { fill: "#search", value: "maps" }
+const STEP_ACTIONS = ["click", "fill", "type", "hover", "scroll", "select", "press", "eval", "wait", "waitFor"];
+async function runSteps(page, steps, timeout) {
+  for (const step of steps) {
+    const actions = Object.keys(step).filter((key) => STEP_ACTIONS.includes(key));
+    if (actions.length !== 1) throw new Error(`Step ${JSON.stringify(step)} must have exactly one action`);
+    const [action] = actions;
+    const target = step[action];
+    const value = step.value === undefined ? "" : String(step.value);
+    log.info("Running step", { action, target });
+    if (action === "click") await page.click(target, { timeout });
+    else if (action === "fill") await page.fill(target, value, { timeout });
+    else if (action === "type") await page.locator(target).pressSequentially(value, { timeout });
+    else if (action === "hover") await page.hover(target, { timeout });
+    else if (action === "select") await page.selectOption(target, value, { timeout });
+    else if (action === "scroll" && typeof target === "string") {
+      await page.locator(target).scrollIntoViewIfNeeded({ timeout });
+    } else if (action === "scroll") await page.evaluate(({ x = 0, y = 0 }) => window.scrollTo(x, y), target);
+    else if (action === "press" && step.selector) await page.press(step.selector, target, { timeout });
+    else if (action === "press") await page.keyboard.press(target);
+    else if (action === "eval") await page.evaluate(target);
+    else if (action === "wait") await page.waitForTimeout(target);
+    else if (action === "waitFor") await page.waitForSelector(target, { timeout });
+  }
+}
+
+// Listen for console errors, uncaught exceptions, failed or 4xx/5xx requests and the main document's status while
+// a page loads. Messages and request URLs matching an ignore pattern are dropped. Returns a function that stops
+// listening and returns what was collected
+function watchPage(page, ignore) {
+  const patterns = [].concat(ignore).map((pattern) => new RegExp(pattern));
+  const kept = (text) => !patterns.some((pattern) => pattern.test(text));
+  const diagnostics = { status: null, console: [], exceptions: [], requests: [] };
+  const listeners = {
+    console: (message) => {
+      if (message.type() === "error" && kept(message.text())) diagnostics.console.push(message.text());
+    },
+    pageerror: (error) => {
+      if (kept(error.message)) diagnostics.exceptions.push(error.message);
+    },
+    requestfailed: (request) => {
+      if (kept(request.url())) diagnostics.requests.push({ url: request.url(), error: request.failure()?.errorText });
+    },
+    response: (response) => {
+      const request = response.request();
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) diagnostics.status = response.status();
+      else if (response.status() >= 400 && kept(response.url())) {
+        diagnostics.requests.push({ url: response.url(), status: response.status() });
+      }
+    },
+  };
+  for (const [event, listener] of Object.entries(listeners)) page.on(event, listener);
+  return () => {
+    for (const [event, listener] of Object.entries(listeners)) page.off(event, listener);
+    return diagnostics;
+  };
+}
+
+// Describe the page errors that the rules (status, console, exceptions, requests) treat as failures
+const PAGE_ERROR_RULES = ["status", "console", "exceptions", "requests"];
+function pageErrors({ status, console: messages, exceptions, requests }, rules = PAGE_ERROR_RULES) {
+  return [
+    ...(rules.includes("status") && status >= 400 ? [`HTTP ${status}`] : []),
+    ...(rules.includes("console") ? messages.map((text) => `console error: ${text}`) : []),
+    ...(rules.includes("exceptions") ? exceptions.map((message) => `exception: ${message}`) : []),
+    ...(rules.includes("requests")
+      ? requests.map((request) => `request failed: ${request.url} (${request.status || request.error})`)
+      : []),
+  ];
+}
+
+// Text snapshots of the page, or of the selected element: its ARIA tree, visible text or HTML. Each is saved next to
+// the capture with its own extension, e.g. home.aria.yml for home.png. HTML snapshots end in .txt so they never
+// overwrite the page they were taken from, or get discovered as pages
+const SNAPSHOTS = { aria: ".aria.yml", text: ".txt", html: ".dom.html.txt" };
+async function takeSnapshots(page, kinds, selector) {
+  if (kinds.length === 0) return [];
+  const root = selector ? page.locator(selector).first() : page.locator("body");
+  const take = {
+    aria: () => root.ariaSnapshot(),
+    text: () => root.innerText(),
+    html: () => (selector ? root.evaluate((element) => element.outerHTML) : page.content()),
+  };
+  const snapshots = [];
+  for (const kind of kinds) snapshots.push({ kind, content: (await take[kind]()).trimEnd() + "\n" });
+  return snapshots;
+}
+
+// Diff two texts line by line as a unified diff with 3 lines of context. Returns the counts of added and removed
+// lines, and the diff text ("" when they match)
+function diffText(before, after, name, context = 3) {
+  const a = before.replace(/\n$/, "").split("\n");
+  const b = after.replace(/\n$/, "").split("\n");
+
+  // Skip the common head and tail, then follow the longest common subsequence of the rest. Very large changes
+  // are shown as every old line removed and every new line added
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const x = a.slice(head, a.length - tail);
+  const y = b.slice(head, b.length - tail);
+  const ops = a.slice(0, head).map((line) => [" ", line]);
+  if (x.length * y.length <= 4e6) {
+    const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+    for (let i = x.length - 1; i >= 0; i--) {
+      for (let j = y.length - 1; j >= 0; j--) {
+        lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    for (let i = 0, j = 0; i < x.length || j < y.length; ) {
+      if (i < x.length && j < y.length && x[i] === y[j]) {
+        ops.push([" ", x[i]]);
+        i++;
+        j++;
+      } else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push(["-", x[i++]]);
+      else ops.push(["+", y[j++]]);
+    }
+  } else ops.push(...x.map((line) => ["-", line]), ...y.map((line) => ["+", line]));
+  ops.push(...a.slice(a.length - tail).map((line) => [" ", line]));
+
+  // Group changes less than two contexts apart into hunks, numbering lines from 1
+  const hunks = [];
+  const lineAt = [[1, 1]]; // [old line, new line] before each op
+  for (const [op] of ops) {
+    const [oldLine, newLine] = lineAt[lineAt.length - 1];
+    lineAt.push([oldLine + (op === "+" ? 0 : 1), newLine + (op === "-" ? 0 : 1)]);
+  }
+  for (let k = 0; k < ops.length; k++) {
+    if (ops[k][0] === " ") continue;
+    let end = k;
+    for (let next = k + 1; next < ops.length && next <= end + 2 * context; next++) {
+      if (ops[next][0] !== " ") end = next;
+    }
+    const [from, to] = [Math.max(0, k - context), Math.min(ops.length, end + context + 1)];
+    const [oldCount, newCount] = [0, 1].map((side) => lineAt[to][side] - lineAt[from][side]);
+    const [oldStart, newStart] = [0, 1].map((side, i) => lineAt[from][side] - ([oldCount, newCount][i] ? 0 : 1));
+    hunks.push(
+      `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      ...ops.slice(from, to).map(([op, line]) => op + line),
+    );
+    k = end;
+  }
+  const added = ops.filter(([op]) => op === "+").length;
+  const removed = ops.filter(([op]) => op === "-").length;
+  const text = hunks.length > 0 ? [`--- ${name}`, `+++ ${name}`, ...hunks].join("\n") + "\n" : "";
+  return { added, removed, text };
+}
+
+// Replace Math.random in the page with a seeded generator (mulberry32) so "random" content repeats
+function seedRandom(seed) {
+  let state = seed >>> 0;
+  Math.random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Capture the first (or every) element matching a selector, clipped to its bounding box plus padding
+async function captureElements(page, selector, padding, all, screenshotOptions) {
+  const locators = all ? await page.locator(selector).all() : [page.locator(selector).first()];
+  if (locators.length === 0) throw new Error(`No elements match selector "${selector}"`);
+  const buffers = [];
+  for (const locator of locators) {
+    const box = await locator.boundingBox();
+    if (!box) throw new Error(`Element "${selector}" is not visible`);
+    // Bounding boxes are viewport-relative; full-page clips are document-relative
+    const [scrollX, scrollY] = await page.evaluate(() => [window.scrollX, window.scrollY]);
+    const x = Math.max(0, box.x + scrollX - padding);
+    const y = Math.max(0, box.y + scrollY - padding);
+    const width = box.x + scrollX + box.width + padding - x;
+    const height = box.y + scrollY + box.height + padding - y;
+    buffers.push(await page.screenshot({ fullPage: true, clip: { x, y, width, height }, ...screenshotOptions }));
+  }
+  return buffers;
+}
+
+// Compare two images pixel-by-pixel and return the changed-pixel ratio with a highlighted diff image, if asked for
+async function diffImages(baseline, current, colorThreshold, withImage = true) {
+  const decode = (img) => sharp(img).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const [a, b] = await Promise.all([decode(baseline), decode(current)]);
+  const width = Math.max(a.info.width, b.info.width);
+  const height = Math.max(a.info.height, b.info.height);
+  const diff = Buffer.alloc(width * height * 4);
+  let changed = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inA = x < a.info.width && y < a.info.height;
+      const inB = x < b.info.width && y < b.info.height;
+      const ia = (y * a.info.width + x) * 4;
+      const ib = (y * b.info.width + x) * 4;
+      let delta = 0;
+      if (inA && inB) {
+        for (let c = 0; c < 4; c++) delta = Math.max(delta, Math.abs(a.data[ia + c] - b.data[ib + c]) / 255);
+      }
+      const o = (y * width + x) * 4;
+      // Pixels outside either image always count as changed
+      if (!inA || !inB || delta > colorThreshold) {
+        changed++;
+        diff.set([255, 0, 0, 255], o);
+      } else {
+        // Faded grayscale of the unchanged pixel for context
+        const gray = 0.299 * b.data[ib] + 0.587 * b.data[ib + 1] + 0.114 * b.data[ib + 2];
+        const v = Math.round(255 - (255 - gray) * 0.2);
+        diff.set([v, v, v, 255], o);
+      }
+    }
+  }
+  const image =
+    changed && withImage
+      ? await sharp(diff, { raw: { width, height, channels: 4 } })
+          .png()
+          .toBuffer()
+      : null;
+  return { ratio: changed / (width * height), image };
+}
+
+// Presentation: composite a capture into browser chrome or a device frame, with rounded corners, a drop shadow and
+// a background around it. Sizes are in CSS pixels, scaled by the device scale factor and rounded to whole pixels
+const FRAMES = ["browser", "phone", "laptop"];
+const FONT = "system-ui, -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif";
+
+const svg = (width, height, body) =>
+  Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${body}</svg>`);
+
+// A color, or a CSS linear-gradient() such as "linear-gradient(135deg, #a1c4fd, #c2e9fb 80%)", as SVG defs and a fill
+function svgFill(background) {
+  const match = /^linear-gradient\((.*)\)$/i.exec(background.trim());
+  if (!match) return { defs: "", fill: escapeHtml(background) };
+  const parts = match[1].split(/,(?![^(]*\))/).map((part) => part.trim()); // keep commas inside rgb(...)
+  const sides = { top: [0, -1], right: [1, 0], bottom: [0, 1], left: [-1, 0] };
+  let [dx, dy] = [0, 1]; // CSS default: to bottom
+  if (/^-?[\d.]+deg$/i.test(parts[0])) {
+    const angle = (parseFloat(parts.shift()) * Math.PI) / 180;
+    [dx, dy] = [Math.sin(angle), -Math.cos(angle)];
+  } else if (/^to\s/i.test(parts[0])) {
+    const words = parts.shift().toLowerCase().split(/\s+/).slice(1);
+    [dx, dy] = words.reduce(([x, y], word) => [x + (sides[word]?.[0] ?? 0), y + (sides[word]?.[1] ?? 0)], [0, 0]);
+  }
+  const stops = parts.map((part, i) => {
+    const [, color, offset] = /^(.*?)(?:\s+([\d.]+%))?$/.exec(part);
+    const position = offset || `${parts.length > 1 ? (i / (parts.length - 1)) * 100 : 0}%`;
+    return `<stop offset="${position}" stop-color="${escapeHtml(color)}"/>`;
+  });
+  const [x1, y1, x2, y2] = [0.5 - dx / 2, 0.5 - dy / 2, 0.5 + dx / 2, 0.5 + dy / 2];
+  return {
+    defs: `<linearGradient id="bg" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops.join("")}</linearGradient>`,
+    fill: "url(#bg)",
+  };
+}
+
+const roundCorners = (image, width, height, radius) =>
+  sharp(image)
+    .ensureAlpha()
+    .composite([
+      { input: svg(width, height, `<rect width="${width}" height="${height}" rx="${radius}"/>`), blend: "dest-in" },
+    ])
+    .png()
+    .toBuffer();
+
+// Put the capture in a browser window with the URL in its address bar, or on a phone or laptop screen.
+// Returns the framed image, its size and the corner radius of its outline
+async function frameImage(image, width, height, frame, url, s) {
+  const canvas = (w, h, layers) =>
+    sharp({ create: { width: w, height: h, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+      .composite(layers)
+      .png()
+      .toBuffer();
+  if (frame === "browser") {
+    const bar = Math.round(40 * s);
+    const dots = ["#ff5f57", "#febc2e", "#28c840"]
+      .map((color, i) => `<circle cx="${(20 + i * 20) * s}" cy="${bar / 2}" r="${6 * s}" fill="${color}"/>`)
+      .join("");
+    const [fieldX, fieldWidth] = [90 * s, Math.max(0, width - 110 * s)];
+    const maxChars = Math.max(0, Math.floor(fieldWidth / (7 * s)) - 3);
+    const text = url.length > maxChars ? url.slice(0, Math.max(0, maxChars - 1)) + "…" : url;
+    const chrome = svg(
+      width,
+      bar,
+      `<rect width="${width}" height="${bar}" fill="#e8e8ec"/>${dots}` +
+        `<rect x="${fieldX}" y="${8 * s}" width="${fieldWidth}" height="${24 * s}" rx="${12 * s}" fill="#fff"/>` +
+        `<text x="${fieldX + 12 * s}" y="${bar / 2 + 4.5 * s}" font-family="${FONT}" font-size="${13 * s}" fill="#444">` +
+        `${escapeHtml(text)}</text>`,
+    );
+    const framed = await canvas(width, height + bar, [
+      { input: chrome, top: 0, left: 0 },
+      { input: image, top: bar, left: 0 },
+    ]);
+    return { image: framed, width, height: height + bar, radius: 0 };
+  }
+  if (frame === "phone") {
+    const bezel = Math.round(14 * s);
+    const [w, h] = [width + 2 * bezel, height + 2 * bezel];
+    const island = `<rect x="${(w - 120 * s) / 2}" y="${bezel + 10 * s}" width="${120 * s}" height="${34 * s}" rx="${17 * s}"/>`;
+    const framed = await canvas(w, h, [
+      { input: svg(w, h, `<rect width="${w}" height="${h}" rx="${56 * s}" fill="#1c1c1e"/>`), top: 0, left: 0 },
+      { input: await roundCorners(image, width, height, 42 * s), top: bezel, left: bezel },
+      { input: svg(w, h, island), top: 0, left: 0 },
+    ]);
+    return { image: framed, width: w, height: h, radius: 56 * s };
+  }
+  // Laptop: a lid with a camera, on a wider base with a thumb notch
+  const [bezel, chin, baseHeight] = [16, 24, 20].map((size) => Math.round(size * s));
+  const [lidWidth, lidHeight] = [width + 2 * bezel, height + bezel + chin];
+  const baseWidth = Math.round(lidWidth * 1.14);
+  const lidX = Math.round((baseWidth - lidWidth) / 2);
+  const notchWidth = lidWidth * 0.16;
+  const body = svg(
+    baseWidth,
+    lidHeight + baseHeight,
+    `<rect x="${lidX}" width="${lidWidth}" height="${lidHeight}" rx="${20 * s}" fill="#1f1f1f"/>` +
+      `<rect x="${lidX}" y="${lidHeight - 20 * s}" width="${lidWidth}" height="${20 * s}" fill="#1f1f1f"/>` +
+      `<circle cx="${baseWidth / 2}" cy="${bezel / 2}" r="${3 * s}" fill="#3a3a3a"/>` +
+      `<rect y="${lidHeight}" width="${baseWidth}" height="${baseHeight}" rx="${10 * s}" fill="#d1d1d6"/>` +
+      `<rect y="${lidHeight}" width="${baseWidth}" height="${baseHeight / 2}" fill="#d1d1d6"/>` +
+      `<rect x="${(baseWidth - notchWidth) / 2}" y="${lidHeight}" width="${notchWidth}" height="${6 * s}" rx="${3 * s}" fill="#b5b5ba"/>`,
+  );
+  const framed = await canvas(baseWidth, lidHeight + baseHeight, [
+    { input: body, top: 0, left: 0 },
+    { input: image, top: bezel, left: lidX + bezel },
+  ]);
+  return { image: framed, width: baseWidth, height: lidHeight + baseHeight, radius: 10 * s };
+}
+
+const isPresented = (opts) => Boolean(opts.frame || opts.margin || opts.cornerRadius || opts.shadow || opts.background);
+
+// Frame the capture, round its corners, and lay it with a drop shadow on a background. Without a background the
+// margin is transparent, or white for formats without transparency (opaque)
+async function present(buffer, opts, url, scale, opaque) {
+  const s = scale;
+  if (opts.frame && !FRAMES.includes(opts.frame)) {
+    throw new Error(`Unknown frame "${opts.frame}", expected ${FRAMES.join(", ")}`);
+  }
+  let { width, height } = await sharp(buffer).metadata();
+  let image = buffer;
+  let radius = 0;
+  if (opts.frame) ({ image, width, height, radius } = await frameImage(buffer, width, height, opts.frame, url, s));
+  if (opts.cornerRadius && (!opts.frame || opts.frame === "browser")) {
+    radius = opts.cornerRadius * s;
+    image = await roundCorners(image, width, height, radius);
   }
 
+  const blur = (opts.shadow === true ? 24 : Number(opts.shadow) || 0) * s;
+  const margin = Math.round((opts.margin ?? (blur || opts.background ? 48 : 0)) * s);
+  const [canvasWidth, canvasHeight] = [width + 2 * margin, height + 2 * margin];
+  const layers = [];
+  if (opts.background) {
+    const { defs, fill } = svgFill(opts.background);
+    const rect = `<rect width="${canvasWidth}" height="${canvasHeight}" fill="${fill}"/>`;
+    layers.push({ input: svg(canvasWidth, canvasHeight, `<defs>${defs}</defs>${rect}`), top: 0, left: 0 });
+  }
+  if (blur) {
+    const filter = `<filter id="shadow" x="-50%" y="-50%" width="200%" height="200%"><feGaussianBlur stdDeviation="${blur / 2}"/></filter>`;
+    const rect = `<rect x="${margin}" y="${margin + blur / 4}" width="${width}" height="${height}" rx="${radius}" fill-opacity="0.35" filter="url(#shadow)"/>`;
+    layers.push({ input: svg(canvasWidth, canvasHeight, `<defs>${filter}</defs>${rect}`), top: 0, left: 0 });
+  }
+  layers.push({ input: image, top: margin, left: margin });
+  const background = opaque && !opts.background ? "#ffffff" : { r: 0, g: 0, b: 0, alpha: 0 };
+  return sharp({ create: { width: canvasWidth, height: canvasHeight, channels: 4, background } })
+    .composite(layers)
+    .png()
+    .toBuffer();
+}
+
+// Capture options every page starts from. The config file's defaults, the defaults option and each page
+// override them in turn
+const CAPTURE_DEFAULTS = {
+  width: 1280,
+  height: null,
+  fullPage: null, // default: !height
+  selector: null,
+  padding: 0, // pixels around the selected element
+  allMatches: false, // capture every match as numbered files
+  delay: 500,
+  waitUntil: "load", // load, domcontentloaded, networkidle or commit
+  waitFor: null, // selector that must be visible
+  waitForHidden: null, // selector that must disappear, e.g. a spinner
+  waitForFunction: null, // JS expression that must become truthy
+  waitForFonts: false,
+  waitForImages: false,
+  timeout: 30000, // navigation and wait timeout in ms
+  steps: [], // interactions before capture
+  retries: 0, // attempts after a failed capture, on a fresh page
+  failOnPageErrors: [], // status, console, exceptions and/or requests: page errors that fail the capture
+  ignorePageErrors: [], // regular expressions of console messages, exceptions and request URLs to ignore
+  snapshots: [], // aria, text and/or html snapshots written next to the output
+  retryDelay: 1000, // ms before the first retry, doubling after each
+  mask: null, // selector(s) to cover with a solid box
+  maskColor: null,
+  css: null, // stylesheet injected after load
+  disableAnimations: false, // also hides the text caret
+  clock: null, // fixed Date.now(), as an ISO date or epoch milliseconds
+  randomSeed: null,
+  media: null, // "print" or "screen" CSS media. PDFs print by default
+  colorScheme: null, // "light", "dark", "no-preference", or "both" to capture light and dark
+  locale: null, // e.g. "de-DE", or several to capture each, e.g. ["en-US", "de-DE"]
+  timezone: null, // e.g. "Europe/Berlin"
+  reducedMotion: null, // "reduce" or "no-preference"
+  forcedColors: null, // "active" or "none"
+  geolocation: null, // { latitude, longitude, accuracy } or "latitude,longitude"
+  permissions: [], // e.g. ["geolocation", "notifications"]
+  frame: null, // "browser" (with the URL), "phone" or "laptop" around the capture
+  margin: null, // pixels of background around the capture; default 48 with a shadow or background, else 0
+  cornerRadius: 0,
+  shadow: false, // true, or the blur radius in pixels
+  background: null, // color or CSS linear-gradient() behind the capture; default transparent
+  widths: [], // also write resized copies at these widths, e.g. [480, 960] => home-480.webp, home-960.webp
+  variantFormats: [], // formats of the resized copies; default: the output's format
+  format: null, // default: from the output extension
+  quality: null,
+};
+const FORMAT_DEFAULTS = {
+  webp: { lossless: true, quality: 100 },
+  png: { quality: 100 },
+  jpeg: { quality: 90 },
+  avif: { quality: 70 },
+  tiff: { compression: "lzw" },
+  gif: { colours: 256 },
+  pdf: { format: "A4", printBackground: true }, // Playwright page.pdf() options
+};
+const FORMAT_ALIASES = { jpg: "jpeg", tif: "tiff" };
+const FORMAT_EXTENSIONS = { webp: ".webp", png: ".png", jpeg: ".jpg", avif: ".avif", tiff: ".tif", gif: ".gif" };
+const MIME_TYPES = {
+  webp: "image/webp",
+  png: "image/png",
+  jpeg: "image/jpeg",
+  avif: "image/avif",
+  tiff: "image/tiff",
+  gif: "image/gif",
+};
+const EXTENSION_FORMATS = {
+  ".webp": "webp",
+  ".png": "png",
+  ".jpg": "jpeg",
+  ".jpeg": "jpeg",
+  ".avif": "avif",
+  ".tif": "tiff",
+  ".tiff": "tiff",
+  ".gif": "gif",
+  ".pdf": "pdf",
+};
+
+// Image format for an output: the explicit format if set, else from the extension. Unknown extensions are an
+// error rather than silently writing WebP, e.g. into "hero.gjf"
+const outputFormat = (outputPath, format) => {
+  if (format) {
+    const name = FORMAT_ALIASES[format] || format;
+    if (!FORMAT_DEFAULTS[name]) {
+      throw new Error(
+        `Unsupported format "${format}" for ${outputPath}, expected webp, png, jpeg, avif, tiff, gif or pdf`,
+      );
+    }
+    return name;
+  }
+  const ext = path.extname(outputPath).toLowerCase();
+  if (!EXTENSION_FORMATS[ext]) {
+    const extensions = Object.keys(EXTENSION_FORMATS).join(", ");
+    throw new Error(`Unsupported extension "${ext}" for ${outputPath}. Use ${extensions} or set format`);
+  }
+  return EXTENSION_FORMATS[ext];
+};
+
+// Lists may be arrays or strings separated by commas or spaces, e.g. "480 960" from ?widths=480+960
+const toList = (value) => (typeof value === "string" ? value.split(/[\s,]+/).filter(Boolean) : [].concat(value ?? []));
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// Describe each image capture and its resized variants as srcset candidates per MIME type, e.g.
+// { "image/avif": "home-480.avif 480w", "image/webp": "home-480.webp 480w, home.webp 1280w" }. Paths are
+// relative to dir, where the snippet is written
+function srcsetEntries(captures, dir, sizes) {
+  const relative = (file) => path.relative(dir, file).split(path.sep).join("/");
+  return captures
+    .filter((capture) => capture.format !== "pdf")
+    .map((capture) => {
+      const srcset = {};
+      for (const image of [capture, ...(capture.variants || [])].sort((a, b) => a.width - b.width)) {
+        const type = MIME_TYPES[image.format];
+        srcset[type] = (srcset[type] ? srcset[type] + ", " : "") + `${relative(image.path)} ${image.width}w`;
+      }
+      const { url, width, height, format } = capture;
+      return { url, src: relative(capture.path), type: MIME_TYPES[format], width, height, sizes, srcset };
+    });
+}
+
+// A <picture> with a <source> per other format, falling back to an <img> in the capture's own format
+const pictureHtml = ({ url, src, type, width, height, sizes, srcset }) =>
+  [
+    `<!-- ${url} -->`,
+    "<picture>",
+    ...Object.entries(srcset)
+      .filter(([sourceType]) => sourceType !== type)
+      .map(
+        ([sourceType, set]) =>
+          `  <source type="${sourceType}" srcset="${escapeHtml(set)}" sizes="${escapeHtml(sizes)}">`,
+      ),
+    `  <img src="${escapeHtml(src)}" srcset="${escapeHtml(srcset[type])}" sizes="${escapeHtml(sizes)}"` +
+      ` width="${width}" height="${height}" alt="Screenshot of ${escapeHtml(new URL(url).pathname)}" loading="lazy">`,
+    "</picture>",
+  ].join("\n");
+
+// { latitude, longitude, accuracy } from an object or a "latitude,longitude[,accuracy]" string
+const parseGeolocation = (value) => {
+  if (!value || typeof value === "object") return value || null;
+  const [latitude, longitude, accuracy] = toList(String(value)).map(Number);
+  if (isNaN(latitude) || isNaN(longitude)) {
+    throw new Error(`Invalid geolocation "${value}", expected "latitude,longitude"`);
+  }
+  return { latitude, longitude, ...(accuracy !== undefined && { accuracy }) };
+};
+
+// Browser context options for a capture's locale, timezone, geolocation and permissions. A page's context can't
+// change these, so pages are only reused between captures that share them. Geolocation is granted when set
+function emulationContext({ locale, timezone, geolocation, permissions }) {
+  const location = parseGeolocation(geolocation);
+  const granted = toList(permissions);
+  if (location && !granted.includes("geolocation")) granted.push("geolocation");
+  return {
+    ...(locale && { locale }),
+    ...(timezone && { timezoneId: timezone }),
+    ...(location && { geolocation: location }),
+    ...(granted.length > 0 && { permissions: granted }),
+  };
+}
+
+// Pairs look like urlPath=outputPath, optionally followed by ?width=375&fullPage=false&...
+const coerce = (v) => {
+  if (v === "true" || v === "false") return v === "true";
+  if (v !== "" && !isNaN(v)) return Number(v);
+  return /^[[{]/.test(v) ? parseJson("screenshots", v) : v; // JSON values, e.g. steps
+};
+const parsePairs = (input) =>
+  input
+    .split(/[\n,]+/) // support commas or newlines with whitespace
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((p) => {
+      const eq = p.indexOf("=");
+      if (eq < 0) throw new Error(`Invalid screenshots entry "${p}", expected urlPath=outputPath`);
+      const [url, rest] = [p.slice(0, eq), p.slice(eq + 1)].map((x) => x.trim());
+      const q = rest.includes("?") ? rest.indexOf("?") : rest.length;
+      const [output, query] = [rest.slice(0, q), rest.slice(q + 1)].map((x) => x.trim());
+      const page = { url, output };
+      for (const [key, value] of new URLSearchParams(query)) {
+        if (!(key in CAPTURE_DEFAULTS)) throw new Error(`Unknown option "${key}" in screenshots entry "${p}"`);
+        page[key] = coerce(value);
+      }
+      return page;
+    });
+
+// Build captureScreenshots() options from action inputs or CLI flags, given as strings keyed by snake_case
+// input name. Inputs that are missing or empty are left out, so the API's defaults apply
+function optionsFromInputs(inputs) {
+  const get = (name) => (inputs[name] === undefined || inputs[name] === "" ? undefined : inputs[name]);
+  const parse = (name, fn) => (get(name) === undefined ? undefined : fn(get(name)));
+  const int = (name) => parse(name, (v) => parseInt(v, 10));
+  const float = (name) => parse(name, parseFloat);
+  const bool = (name) => parse(name, (v) => v === "true");
+  const json = (name) => parse(name, (v) => parseJson(name, v));
+  const compact = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+  return compact({
+    cwd: get("cwd"),
+    config: get("config"),
+    pages: parse("screenshots", parsePairs),
+    defaults: compact({
+      width: int("width"),
+      height: int("height"),
+      fullPage: bool("full_page"),
+      selector: get("selector"),
+      padding: int("padding"),
+      allMatches: bool("all_matches"),
+      delay: int("delay"),
+      waitUntil: get("wait_until"),
+      waitFor: get("wait_for"),
+      waitForHidden: get("wait_for_hidden"),
+      waitForFunction: get("wait_for_function"),
+      waitForFonts: bool("wait_for_fonts"),
+      waitForImages: bool("wait_for_images"),
+      timeout: int("timeout"),
+      retries: int("retries"),
+      retryDelay: int("retry_delay"),
+      failOnPageErrors: parse("fail_on_page_errors", (v) => v.split(/[\s,]+/).filter(Boolean)),
+      snapshots: parse("snapshots", (v) => v.split(/[\s,]+/).filter(Boolean)),
+      ignorePageErrors: parse("ignore_page_errors", (v) =>
+        v
+          .split("\n")
+          .map((line) => line.trim())
+          .filter(Boolean),
+      ),
+      steps: json("steps"),
+      mask: get("mask"),
+      maskColor: get("mask_color"),
+      css: get("css"),
+      disableAnimations: bool("disable_animations"),
+      clock: parse("clock", (v) => (/^\d+$/.test(v) ? Number(v) : v)), // epoch milliseconds or an ISO date
+      randomSeed: int("random_seed"),
+      media: get("media"),
+      colorScheme: get("color_scheme"),
+      locale: parse("locale", (v) => v.split(/[\s,]+/).filter(Boolean)),
+      timezone: get("timezone"),
+      reducedMotion: get("reduced_motion"),
+      forcedColors: get("forced_colors"),
+      geolocation: get("geolocation"),
+      permissions: parse("permissions", (v) => v.split(/[\s,]+/).filter(Boolean)),
+      format: get("format"),
+      frame: get("frame"),
+      margin: int("margin"),
+      cornerRadius: int("corner_radius"),
+      shadow: parse("shadow", coerce), // true, false or the blur radius
+      background: get("background"),
+      widths: parse("widths", (v) =>
+        v
+          .split(/[\s,]+/)
+          .filter(Boolean)
+          .map(Number),
+      ),
+      variantFormats: parse("variant_formats", (v) => v.split(/[\s,]+/).filter(Boolean)),
+    }),
+    browsers: parse("browsers", (v) => v.split(/[\s,]+/).filter(Boolean)),
+    devices: get("devices"),
+    formats: compact({
+      webp: json("webp_options"),
+      png: json("png_options"),
+      jpeg: json("jpeg_options"),
+      avif: json("avif_options"),
+      tiff: json("tiff_options"),
+      gif: json("gif_options"),
+      pdf: json("pdf_options"),
+    }),
+    auth: compact({
+      storageState: get("storage_state"),
+      cookies: json("cookies"),
+      httpCredentials: get("http_credentials"),
+      extraHeaders: json("extra_headers"),
+      login: json("login"),
+    }),
+    concurrency: int("concurrency"),
+    continueOnError: bool("continue_on_error"),
+    failOn: get("fail_on"),
+    serverCommand: get("server_command"),
+    serverUrl: get("server_url"),
+    serverReadyPattern: get("server_ready_pattern"),
+    serverTimeout: int("server_timeout"),
+    root: get("root"),
+    basePath: get("base_path"),
+    spa: bool("spa"),
+    headers: json("headers"),
+    host: get("host"),
+    port: int("port"),
+    compare: bool("compare"),
+    baselineDir: get("baseline_dir"),
+    diffThreshold: float("diff_threshold"),
+    colorThreshold: float("color_threshold"),
+    skipUnchanged: bool("skip_unchanged"),
+    unchangedTolerance: float("unchanged_tolerance"),
+    manifest: get("manifest"),
+    srcset: compact({ output: get("srcset"), sizes: get("srcset_sizes") }),
+    discover: compact({
+      mode: get("discover"),
+      url: get("discover_url"),
+      depth: int("discover_depth"),
+      limit: int("discover_limit"),
+      include: parse("discover_include", (v) => v.split(/[\s,]+/).filter(Boolean)),
+      exclude: parse("discover_exclude", (v) => v.split(/[\s,]+/).filter(Boolean)),
+      output: get("discover_output"),
+    }),
+  });
+}
+
+// Merge config-shaped options, with override winning. Nested settings such as defaults merge key by key; pages,
+// browsers, devices and run settings are replaced. Undefined values are ignored
+const NESTED_OPTIONS = ["defaults", "formats", "auth", "discover", "srcset"];
+function mergeOptions(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) continue;
+    merged[key] = NESTED_OPTIONS.includes(key) ? { ...base[key], ...value } : value;
+  }
+  return merged;
+}
+
+/**
+ * Capture screenshots of pages served from `cwd` or at absolute URLs.
+ *
+ * Options take the same shape as a config file (`pages`, `defaults`, `browsers`, `devices`, `formats`, `auth`,
+ * `discover`, `srcset`) plus run settings: `cwd`, `config`, `concurrency`, `continueOnError`, `failOn`,
+ * `serverCommand`, `serverUrl`, `serverReadyPattern`, `serverTimeout`, `root`, `basePath`, `spa`, `headers`, `host`,
+ * `port`, `compare`, `baselineDir`, `diffThreshold`, `colorThreshold`, `skipUnchanged`, `unchangedTolerance` and
+ * `manifest`. A config file in `cwd` (or at `config`, or none if `config` is false) fills in options not given.
+ *
+ * @param {object} [options]
+ * @returns {Promise<{captures: object[], failures: object[], errors: string[], manifest: string|null,
+ *   srcset: string|null}>} one manifest entry per saved file, one per page that failed or was skipped, problems
+ *   that should fail the run, such as browsers that could not launch or visual drift, and the paths of the files
+ *   written. Rejects only on invalid options or setup errors; failed captures resolve in `failures`
+ */
+async function captureScreenshots(options = {}) {
+  const workspacePath = path.resolve(options.cwd || process.cwd());
+  let server = null;
+  let command = null;
+  const browsers = {};
+
   try {
-    // Launch browser and take screenshots
-    const browser = await chromium.launch();
-    const page = await browser.newPage();
-    await page.setViewportSize({ width: viewportWidth, height: viewportHeight || 800 });
-
-    // Process all screenshots
-    const results = [];
-    for (const { urlPath, outputPath } of screenshotPairs) {
-      // Build URL and navigate
+    // Load the optional config file; options given explicitly take precedence over it
+    const settings = mergeOptions(await loadConfig(workspacePath, options.config), options);
+    const defaults = { ...CAPTURE_DEFAULTS, ...settings.defaults };
+    const formats = { ...FORMAT_DEFAULTS, ...settings.formats };
+
+    // Pages can also be discovered from a sitemap, the HTML files being served or by crawling links
+    const discover = {
+      mode: null, // sitemap, html or crawl
+      url: null, // sitemap or crawl start URL; default /sitemap.xml or /
+      depth: 2, // crawl: links to follow from the start page
+      limit: 100, // most pages to discover
+      include: [], // URL path globs, e.g. /docs/**
+      exclude: [],
+      output: "screenshots/{path}.webp",
+      ...settings.discover,
+    };
+    if (discover.mode && !["sitemap", "html", "crawl"].includes(discover.mode)) {
+      throw new Error(`Unknown discover mode "${discover.mode}", expected sitemap, html or crawl`);
+    }
+    const listedPages = settings.pages || (discover.mode ? [] : [{ url: "/", output: "screenshot.webp" }]);
+    const screenshotPairs = listedPages.map(({ url, output, ...overrides }) => ({
+      urlPath: url,
+      outputPath: output,
+      overrides,
+    }));
+
+    const failOn = options.failOn || "any";
+    if (!["any", "all", "never"].includes(failOn)) {
+      throw new Error(`Unknown fail_on "${failOn}", expected any, all or never`);
+    }
+
+    // Check output formats before launching anything
+    for (const { outputPath, overrides } of screenshotPairs) {
+      const opts = { ...defaults, ...overrides };
+      outputFormat(outputPath, opts.format);
+      for (const format of toList(opts.variantFormats)) {
+        if (outputFormat(outputPath, format) === "pdf")
+          throw new Error(`Resized variants cannot be PDFs: ${outputPath}`);
+      }
+      for (const kind of toList(opts.snapshots)) {
+        if (!SNAPSHOTS[kind])
+          throw new Error(`Unknown snapshot "${kind}" for ${outputPath}, expected aria, text or html`);
+      }
+      for (const rule of toList(opts.failOnPageErrors)) {
+        if (!PAGE_ERROR_RULES.includes(rule))
+          throw new Error(
+            `Unknown page error "${rule}" for ${outputPath}, expected status, console, exceptions or requests`,
+          );
+      }
+    }
+    if (discover.mode) outputFormat(discover.output, defaults.format);
+
+    // Every pair is captured on every browser and device
+    const viewports = parseDevices(settings.devices);
+    const browserNames = settings.browsers || ["chromium"];
+    for (const name of browserNames) {
+      if (!engines[name]) throw new Error(`Unknown browser "${name}", expected chromium, firefox or webkit`);
+    }
+
+    // Parse visual comparison options
+    const compare = {
+      enabled: Boolean(options.compare),
+      baselineDir: options.baselineDir,
+      threshold: options.diffThreshold ?? 0, // max % of changed pixels
+      colorThreshold: options.colorThreshold ?? 0.1, // per-pixel tolerance, 0-1
+    };
+
+    // Parse authentication options, applied to every browser context
+    const auth = expandEnv({
+      storageState: null, // Playwright storage state file
+      cookies: [],
+      httpCredentials: null, // "username:password" or { username, password } for HTTP auth
+      extraHeaders: null,
+      login: null, // { url, steps }, run once
+      ...settings.auth,
+    });
+    if (typeof auth.httpCredentials === "string") {
+      const colon = auth.httpCredentials.indexOf(":");
+      if (colon < 0) throw new Error("Invalid http_credentials, expected username:password");
+      auth.httpCredentials = {
+        username: auth.httpCredentials.slice(0, colon),
+        password: auth.httpCredentials.slice(colon + 1),
+      };
+    }
+    if (auth.login && !auth.login.url) throw new Error("Login requires a url");
+
+    // Leave outputs whose pixels match the new capture untouched, so encoder differences don't churn git
+    const unchanged = {
+      enabled: Boolean(options.skipUnchanged),
+      tolerance: options.unchangedTolerance ?? 0, // per-pixel, 0-1; 0 is exact
+    };
+
+    // Relative URL paths resolve under the base path of the user's server URL, if any, else the local server
+    const host = options.host || "0.0.0.0";
+    const serverUrl = options.serverUrl ? new URL(options.serverUrl) : null;
+    const trimmedBase = (serverUrl ? serverUrl.pathname : options.basePath || "").replace(/^\/+|\/+$/g, "");
+    const basePath = trimmedBase ? `/${trimmedBase}/` : "/";
+    let port = options.port ?? 3000;
+    const origin = () => (serverUrl ? serverUrl.origin : `http://localhost:${port}`);
+    const isAbsoluteUrl = (url) => /^https?:\/\//i.test(url);
+    // "/repo-name/docs/" and "docs/" are both "/docs/" under the base path "/repo-name/"
+    const sitePath = (urlPath) => {
       const localPath = urlPath.startsWith("/") ? urlPath : "/" + urlPath;
-      const url = isAbsoluteUrl(urlPath) ? urlPath : `http://localhost:${port}${localPath}`;
-      log.info("Processing", { url, output: outputPath });
+      return localPath.startsWith(basePath) ? "/" + localPath.slice(basePath.length) : localPath;
+    };
+    const toUrl = (urlPath) => (isAbsoluteUrl(urlPath) ? urlPath : origin() + basePath + sitePath(urlPath).slice(1));
 
-      await page.goto(url, { waitUntil: "load", timeout: 30000 });
-      await page.waitForTimeout(500); // Small delay to ensure page is fully rendered
+    // Start the user's server command, or the local server if any URL is relative
+    const localPaths = screenshotPairs
+      .map((pair) => pair.urlPath)
+      .concat(auth.login ? auth.login.url : [], discover.mode ? discover.url || "/" : []);
+    const rootDir = path.resolve(workspacePath, options.root || ".");
+    if (options.serverCommand) {
+      if (!serverUrl) throw new Error("server_url is required with server_command");
+      command = await startCommand(options.serverCommand, {
+        cwd: workspacePath,
+        url: serverUrl.href,
+        readyPattern: options.serverReadyPattern,
+        timeout: options.serverTimeout ?? 60000,
+      });
+    } else if (!serverUrl && localPaths.some((urlPath) => !isAbsoluteUrl(urlPath))) {
+      log.info("Starting local server", { host, port, rootDir });
+      server = await createServer(rootDir, {
+        host,
+        port,
+        basePath,
+        spa: Boolean(options.spa),
+        headers: options.headers || {},
+      });
+      port = server.address().port;
+    }
+
+    // Launch each browser engine. One that fails (e.g. not installed) is reported and its captures skipped
+    const launchFailures = [];
+    for (const name of browserNames) {
+      try {
+        browsers[name] = await engines[name].launch();
+      } catch (error) {
+        log.error(
+          { error: error.message },
+          `Could not launch ${name}. Install it with: npx playwright install --with-deps ${name}`,
+        );
+        launchFailures.push(name);
+      }
+    }
+    const launched = Object.keys(browsers);
 
-      // Take and save screenshot
+    // Cookies without a url or domain apply to the local or user's server
+    const cookies = auth.cookies.map((cookie) => (cookie.url || cookie.domain ? cookie : { ...cookie, url: origin() }));
+    const contextOptions = {
+      ...(auth.storageState && { storageState: path.resolve(workspacePath, auth.storageState) }),
+      ...(auth.httpCredentials && { httpCredentials: auth.httpCredentials }),
+      ...(auth.extraHeaders && { extraHTTPHeaders: auth.extraHeaders }),
+    };
+    const newPage = async (browserName, options) => {
+      const page = await browsers[browserName].newPage({ ...contextOptions, ...options });
+      if (cookies.length > 0) await page.context().addCookies(cookies);
+      return page;
+    };
+
+    // Log in once and reuse the resulting cookies and local storage in every context
+    if (auth.login && launched.length > 0) {
+      const page = await newPage(launched[0], {});
+      try {
+        const url = toUrl(auth.login.url);
+        log.info("Logging in", { url });
+        await page.goto(url, { waitUntil: defaults.waitUntil, timeout: defaults.timeout });
+        await runSteps(page, auth.login.steps || [], defaults.timeout);
+        contextOptions.storageState = await page.context().storageState();
+      } finally {
+        await page.close();
+      }
+    }
+
+    // Discover pages, skipping ones already listed. Local pages become URL paths, so they keep the base path
+    if (discover.mode) {
+      const [include, exclude] = [discover.include, discover.exclude].map((globs) =>
+        [].concat(globs).map(globToRegExp),
+      );
+      const inScope = (url) => {
+        const urlPath = sitePath(new URL(url).pathname);
+        return (
+          (include.length === 0 || include.some((re) => re.test(urlPath))) && !exclude.some((re) => re.test(urlPath))
+        );
+      };
+      const startUrl = toUrl(discover.url || (discover.mode === "sitemap" ? "/sitemap.xml" : "/"));
+      const listed = new Set(screenshotPairs.map((pair) => normalizePageUrl(toUrl(pair.urlPath))));
+      let urls = [];
+      if (discover.mode === "sitemap") {
+        // Sitemaps list production URLs. When served locally, read them as paths on the local server
+        const local = !isAbsoluteUrl(discover.url || "/");
+        urls = await readSitemap(startUrl, (loc) => {
+          const url = new URL(loc, startUrl);
+          return local ? origin() + url.pathname + url.search : url.href;
+        });
+      } else if (discover.mode === "html") {
+        // A srcset snippet or manifest written under the root by an earlier run isn't a page
+        const written = [settings.srcset?.output, options.manifest]
+          .filter(Boolean)
+          .map((file) => path.resolve(workspacePath, file));
+        urls = (await findHtmlFiles(rootDir, written)).map(toUrl);
+      } else if (launched.length > 0) {
+        const page = await newPage(launched[0], {});
+        try {
+          const crawlOptions = { depth: discover.depth, limit: discover.limit, inScope, skip: listed };
+          urls = await crawl(page, startUrl, {
+            ...crawlOptions,
+            waitUntil: defaults.waitUntil,
+            timeout: defaults.timeout,
+          });
+        } finally {
+          await page.close();
+        }
+      }
+      const found = [...new Set(urls.map(normalizePageUrl))]
+        .filter((url) => inScope(url) && !listed.has(url))
+        .slice(0, discover.limit);
+      log.info("Discovered pages", { mode: discover.mode, count: found.length });
+      for (const url of found) {
+        const urlPath = url.startsWith(origin() + "/") ? url.slice(origin().length) : url;
+        screenshotPairs.push({ urlPath, outputPath: discover.output, overrides: {} });
+      }
+    }
+
+    // Outputs without a {device}, {browser}, {scheme} or {locale} token get a suffix for each of those with several
+    // values, so they don't collide. Captures on browsers that failed to launch are skipped
+    const addSuffixes = (outputPath, tokens) =>
+      tokens
+        .filter(([token, values]) => values.length > 1 && !outputPath.includes(`{${token}}`))
+        .reduce((file, [token]) => withSuffix(file, `-{${token}}`), outputPath);
+    // Capture each pair per locale, and in light and dark with colorScheme "both"
+    const emulatedPairs = screenshotPairs.flatMap((pair) => {
+      const opts = { ...defaults, ...pair.overrides };
+      const schemes = opts.colorScheme === "both" ? ["light", "dark"] : [opts.colorScheme];
+      const locales = toList(opts.locale).length > 0 ? toList(opts.locale) : [null];
+      const outputPath = addSuffixes(pair.outputPath, [
+        ["scheme", schemes],
+        ["locale", locales],
+      ]);
+      return locales.flatMap((locale) => {
+        const context = emulationContext({ ...opts, locale });
+        // The clock and Math.random seed can't be undone on a page, so pages are only reused for jobs that share them
+        const contextKey = JSON.stringify({ ...context, clock: opts.clock, randomSeed: opts.randomSeed });
+        return schemes.map((colorScheme) => {
+          const overrides = { ...pair.overrides, colorScheme, locale };
+          return { ...pair, overrides, outputPath, context, contextKey };
+        });
+      });
+    });
+    const runnable = launched.flatMap((browserName) =>
+      viewports.flatMap((device) =>
+        emulatedPairs.map((pair) => {
+          const outputPath = addSuffixes(pair.outputPath, [
+            ["device", viewports],
+            ["browser", browserNames],
+          ]);
+          return { ...pair, browserName, device, outputPath };
+        }),
+      ),
+    );
+
+    // Navigate and capture one job, returning a buffer per output file
+    const emulatedMedia = new WeakSet(); // pages whose CSS media features have been set
+    const frozenPages = new WeakSet(); // pages whose clock and Math.random have been set up
+    // Resolve a job's options, viewport, URL and output path, filling in output path tokens
+    const planJob = ({ urlPath, outputPath: template, overrides, browserName, device }) => {
+      const opts = { ...defaults, ...(device.width && { width: device.width }), ...overrides };
+      const viewport = { width: opts.width, height: opts.height || device.height || 800 };
+      const url = toUrl(urlPath);
+      const tokens = {
+        browser: browserName,
+        device: device.slug,
+        width: viewport.width,
+        height: viewport.height,
+        name: pageName(urlPath),
+        path: pagePath(isAbsoluteUrl(urlPath) ? new URL(urlPath).pathname : sitePath(urlPath)),
+        scheme: opts.colorScheme || "default",
+        locale: opts.locale || "default",
+      };
+      const outputPath = template.replace(/\{(\w+)\}/g, (match, key) => (key in tokens ? tokens[key] : match));
+      return { opts, viewport, url, outputPath };
+    };
+
+    const captureJob = async (page, job) => {
+      const { browserName, device } = job;
+      const { opts, viewport, url, outputPath: pairOutputPath } = planJob(job);
+      const fullPage = opts.fullPage ?? !opts.height;
+      await page.setViewportSize(viewport);
+      log.info("Processing", { url, output: pairOutputPath });
+
+      // Freeze the clock and seed Math.random before any page script runs, once per page. Pages are only reused
+      // by jobs with the same clock and seed, so init scripts don't pile up
+      if (!frozenPages.has(page)) {
+        if (opts.clock !== null) {
+          const time = new Date(opts.clock);
+          if (isNaN(time)) throw new Error(`Invalid clock "${opts.clock}", expected an ISO date or epoch milliseconds`);
+          await page.clock.setFixedTime(time);
+        }
+        if (opts.randomSeed !== null) await page.addInitScript(seedRandom, opts.randomSeed);
+        frozenPages.add(page);
+      }
+
+      // Emulate CSS media features. Pages are reused across jobs, so reset them once they have been set
+      const { media, colorScheme, reducedMotion, forcedColors } = opts;
+      const features = { media, colorScheme, reducedMotion, forcedColors };
+      if (Object.values(features).some((value) => value !== null) || emulatedMedia.has(page)) {
+        await page.emulateMedia(features);
+        emulatedMedia.add(page);
+      }
+
+      // Load the page and get it ready, noting errors along the way. Fail on those the rules ask for
+      const stopWatching = watchPage(page, opts.ignorePageErrors);
+      let diagnostics;
+      try {
+        await page.goto(url, { waitUntil: opts.waitUntil, timeout: opts.timeout });
+        if (opts.css) await page.addStyleTag({ content: opts.css });
+        await waitForPage(page, opts);
+        await runSteps(page, opts.steps, opts.timeout);
+      } finally {
+        diagnostics = stopWatching();
+      }
+      if (pageErrors(diagnostics).length > 0) log.warn({ url, ...diagnostics }, "Page errors");
+      const errors = pageErrors(diagnostics, toList(opts.failOnPageErrors));
+      if (errors.length > 0) {
+        throw Object.assign(new Error(`Page errors in ${url}: ${errors.join("; ")}`), { diagnostics });
+      }
+
+      // Snapshot the page as text, named after the output (not its numbered element captures)
+      const snapshots = (await takeSnapshots(page, toList(opts.snapshots), opts.selector)).map((snapshot) => ({
+        ...snapshot,
+        outputPath: withSuffix(pairOutputPath, "", SNAPSHOTS[snapshot.kind]),
+      }));
+
+      // Mask dynamic regions and settle animations in the capture itself
+      const screenshotOptions = {
+        ...(opts.mask && { mask: [].concat(opts.mask).map((selector) => page.locator(selector)) }),
+        ...(opts.mask && opts.maskColor && { maskColor: opts.maskColor }),
+        ...(opts.disableAnimations && { animations: "disabled", caret: "hide" }),
+      };
+
+      // Print PDFs. Header and footer templates are shown without having to also set displayHeaderFooter
+      if (outputFormat(pairOutputPath, opts.format) === "pdf") {
+        if (browserName !== "chromium")
+          throw new Error(`PDF output needs chromium, not ${browserName}: ${pairOutputPath}`);
+        const { headerTemplate, footerTemplate } = formats.pdf;
+        const pdfOptions = { displayHeaderFooter: Boolean(headerTemplate || footerTemplate), ...formats.pdf };
+        const buffer = await page.pdf(pdfOptions);
+        return [
+          {
+            buffer,
+            outputPath: pairOutputPath,
+            opts,
+            url,
+            browser: browserName,
+            device: device.name,
+            diagnostics,
+            snapshots,
+          },
+        ];
+      }
+
+      // Capture the page, or the selected elements as numbered files when capturing all matches
+      const captures = opts.selector
+        ? (await captureElements(page, opts.selector, opts.padding, opts.allMatches, screenshotOptions)).map(
+            (buffer, i) => ({
+              buffer,
+              outputPath: opts.allMatches ? withSuffix(pairOutputPath, `-${i + 1}`) : pairOutputPath,
+            }),
+          )
+        : [{ buffer: await page.screenshot({ fullPage, ...screenshotOptions }), outputPath: pairOutputPath }];
+      const scale = device.contextOptions.deviceScaleFactor || 1;
+      return captures.map((capture, i) => ({
+        ...capture,
+        opts,
+        url,
+        browser: browserName,
+        device: device.name,
+        scale,
+        diagnostics,
+        snapshots: i === 0 ? snapshots : [],
+      }));
+    };
+
+    const encoderOptions = (format, opts) =>
+      opts.quality === null ? formats[format] : { ...formats[format], quality: opts.quality };
+
+    // Resize a capture to each of opts.widths, in its own format or each of opts.variantFormats, e.g.
+    // home-480.avif and home-480.webp. Variants of an unchanged output are kept if they exist, like the output
+    const saveVariants = async (buffer, { outputPath, format, width: fullWidth }, opts, same) => {
+      const variantFormats = toList(opts.variantFormats).length > 0 ? toList(opts.variantFormats) : [format];
+      const variants = [];
+      for (const width of toList(opts.widths).map(Number)) {
+        if (width > fullWidth) {
+          log.warn("Skipping variant wider than the capture", { path: outputPath, width, captureWidth: fullWidth });
+          continue;
+        }
+        for (const name of variantFormats) {
+          const variantFormat = outputFormat(outputPath, name);
+          const ext = variantFormat === format ? path.extname(outputPath) : FORMAT_EXTENSIONS[variantFormat];
+          const variantPath = withSuffix(outputPath, `-${width}`, ext);
+          const fullVariantPath = path.resolve(workspacePath, variantPath);
+          const existing = same ? await fs.readFile(fullVariantPath).catch(() => null) : null;
+          const info = existing
+            ? { ...(await sharp(existing).metadata()), size: existing.length }
+            : await sharp(buffer)
+                .resize({ width })
+                [variantFormat](encoderOptions(variantFormat, opts))
+                .toFile(fullVariantPath);
+          variants.push({
+            outputPath: variantPath,
+            path: fullVariantPath,
+            format: variantFormat,
+            width: info.width,
+            height: info.height,
+            bytes: info.size,
+            status: existing ? "unchanged" : "updated",
+          });
+        }
+      }
+      if (variants.length > 0) log.info("Variants saved", { path: outputPath, count: variants.length });
+      return variants;
+    };
+
+    // Write text snapshots, leaving those that match alone, and diff them against their baselines in compare mode.
+    // Diffs are written next to the snapshot, e.g. home.aria.yml.diff
+    const saveSnapshots = async (snapshots) => {
+      const results = [];
+      for (const { kind, outputPath, content } of snapshots) {
+        const fullSnapshotPath = path.resolve(workspacePath, outputPath);
+        const baselinePath = compare.baselineDir
+          ? path.resolve(workspacePath, compare.baselineDir, outputPath)
+          : fullSnapshotPath;
+        const baseline = compare.enabled ? await fs.readFile(baselinePath, "utf8").catch(() => null) : null;
+        const existing = await fs.readFile(fullSnapshotPath, "utf8").catch(() => null);
+        if (existing !== content) await fs.writeFile(fullSnapshotPath, content);
+        const result = {
+          kind,
+          outputPath,
+          path: fullSnapshotPath,
+          status: existing === content ? "unchanged" : "updated",
+        };
+        if (baseline !== null) {
+          const { added, removed, text } = diffText(baseline, content, outputPath);
+          Object.assign(result, { added, removed });
+          if (text) {
+            await fs.writeFile(`${fullSnapshotPath}.diff`, text);
+            log.info("Snapshot diff saved", { path: `${fullSnapshotPath}.diff`, added, removed });
+          } else await fs.rm(`${fullSnapshotPath}.diff`, { force: true }); // from an earlier run
+        } else if (compare.enabled) log.warn("No baseline found, skipping comparison", { path: baselinePath });
+        results.push(result);
+      }
+      return results;
+    };
+
+    // Encode one capture to its output file, diff it against its baseline and describe it for the manifest
+    const saveCapture = async (capture) => {
+      const { buffer, outputPath, opts, url, browser, device, scale, diagnostics, snapshots, captureMs } = capture;
+      const started = Date.now();
       const fullOutputPath = path.resolve(workspacePath, outputPath);
       await ensureDir(path.dirname(fullOutputPath));
-      const buffer = await page.screenshot({ fullPage: !viewportHeight });
-
-      // Process with sharp based on extension
-      const ext = path.extname(outputPath).toLowerCase();
-      if (ext === ".png") {
-        await sharp(buffer).png(options.png).toFile(fullOutputPath);
-      } else if ([".jpg", ".jpeg"].includes(ext)) {
-        await sharp(buffer).jpeg(options.jpeg).toFile(fullOutputPath);
-      } else {
-        await sharp(buffer).webp(options.webp).toFile(fullOutputPath);
+      const format = outputFormat(outputPath, opts.format);
+      // The manifest hashes the file on disk: the bytes written, or the existing file when it's kept
+      const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+      // PDFs are written as printed. They embed their creation time, so they are neither diffed nor kept unchanged
+      if (format === "pdf") {
+        await fs.writeFile(fullOutputPath, buffer);
+        log.info("PDF saved", { path: fullOutputPath });
+        return {
+          url,
+          outputPath,
+          path: fullOutputPath,
+          browser,
+          device,
+          format,
+          width: null,
+          height: null,
+          bytes: buffer.length,
+          hash: sha256(buffer),
+          status: "updated",
+          diagnostics,
+          ...(snapshots.length > 0 && { snapshots: await saveSnapshots(snapshots) }),
+          timing: { captureMs, saveMs: Date.now() - started },
+        };
       }
 
-      log.info("Screenshot saved", { path: fullOutputPath });
-      results.push(fullOutputPath);
+      // Frame and decorate the capture. The output and its resized variants use the presented image
+      const image = isPresented(opts) ? await present(buffer, opts, url, scale, format === "jpeg") : buffer;
+
+      // Read the baseline before the new capture can overwrite it
+      const baselinePath = compare.baselineDir
+        ? path.resolve(workspacePath, compare.baselineDir, outputPath)
+        : fullOutputPath;
+      const baseline = compare.enabled ? await fs.readFile(baselinePath).catch(() => null) : null;
+      if (compare.enabled && !baseline) log.warn("No baseline found, skipping comparison", { path: baselinePath });
+      const existing = unchanged.enabled ? await fs.readFile(fullOutputPath).catch(() => null) : null;
+
+      // Encode with sharp based on the explicit format, else the extension. Comparisons use the encoded pixels, so
+      // lossy and palette encoders don't count as changes
+      const formatOptions = encoderOptions(format, opts);
+      const encoded = await sharp(image)[format](formatOptions).toBuffer({ resolveWithObject: true });
+
+      // Keep the existing file if it is in the same format and its pixels match the encoded capture
+      const existingInfo = existing
+        ? await sharp(existing)
+            .metadata()
+            .catch(() => null)
+        : null;
+      // sharp reports AVIF files as "heif"
+      const same =
+        existingInfo?.format === (format === "avif" ? "heif" : format) &&
+        (await diffImages(existing, encoded.data, unchanged.tolerance, false)).ratio === 0;
+      if (!same) await fs.writeFile(fullOutputPath, encoded.data);
+      const info = same ? existingInfo : encoded.info;
+      log.info(same ? "Screenshot unchanged" : "Screenshot saved", { path: fullOutputPath });
+      const result = {
+        url,
+        outputPath,
+        path: fullOutputPath,
+        browser,
+        device,
+        format,
+        width: info.width,
+        height: info.height,
+        bytes: info.size,
+        hash: sha256(same ? existing : encoded.data),
+        status: same ? "unchanged" : "updated",
+        diagnostics,
+      };
+
+      if (toList(opts.widths).length > 0) result.variants = await saveVariants(image, result, opts, same);
+      if (snapshots.length > 0) result.snapshots = await saveSnapshots(snapshots);
+
+      // Diff against the baseline and write a highlighted diff image next to the output
+      if (baseline) {
+        const diff = await diffImages(baseline, encoded.data, compare.colorThreshold);
+        result.diffPercent = Number((diff.ratio * 100).toFixed(4));
+        // A diff image left from an earlier run would show drift that is gone, so remove it when nothing changed
+        const diffPath = withSuffix(fullOutputPath, ".diff", ".png");
+        if (diff.image) {
+          await fs.writeFile(diffPath, diff.image);
+          log.info("Diff image saved", { path: diffPath, percent: result.diffPercent });
+        } else await fs.rm(diffPath, { force: true });
+      }
+      result.timing = { captureMs, saveMs: Date.now() - started };
+      return result;
+    };
+
+    // Run jobs on a pool of pages, each in its own browser context. A page is reused across jobs on the
+    // same browser and device. Saving overlaps the worker's next capture; results are collected in job order.
+    // A failed capture is retried on a fresh page. If it still fails, other pages are captured only with
+    // continueOnError; otherwise jobs not yet started are skipped
+    const concurrency = Math.max(1, options.concurrency || 1);
+    const saves = [];
+    const failures = [];
+    const fail = (index, error, attempts) => {
+      const { url, outputPath } = planJob(runnable[index]);
+      const { browserName: browser, device } = runnable[index];
+      log.error({ url, output: outputPath, attempts, error: error.message }, "Capture failed");
+      failures[index] = {
+        url,
+        outputPath,
+        browser,
+        device: device.name,
+        status: "failed",
+        attempts,
+        error: error.message,
+        ...(error.diagnostics && { diagnostics: error.diagnostics }),
+      };
+      if (!options.continueOnError) next = runnable.length; // stop workers from starting new jobs
+    };
+    let next = 0;
+    const worker = async () => {
+      let page = null;
+      let pageJob = null;
+      let pending = null;
+      try {
+        while (next < runnable.length) {
+          const index = next++;
+          const job = runnable[index];
+          const { retries, retryDelay } = planJob(job).opts;
+          let captures = null;
+          for (let attempt = 1; !captures; attempt++) {
+            const started = Date.now();
+            try {
+              const samePage =
+                pageJob &&
+                pageJob.browserName === job.browserName &&
+                pageJob.device === job.device &&
+                pageJob.contextKey === job.contextKey;
+              if (!samePage) {
+                if (page) await page.close().catch(() => {}); // a failed page may already be gone
+                page = null;
+                const deviceOptions = { ...job.device.contextOptions };
+                if (job.browserName === "firefox") delete deviceOptions.isMobile; // Firefox has no mobile emulation
+                page = await newPage(job.browserName, { ...deviceOptions, ...job.context });
+                pageJob = job;
+              }
+              captures = (await captureJob(page, job)).map((capture) => ({
+                ...capture,
+                captureMs: Date.now() - started,
+              }));
+            } catch (error) {
+              pageJob = null; // the page may be stuck, so later attempts and jobs start on a fresh one
+              if (attempt > retries) {
+                fail(index, error, attempt);
+                break;
+              }
+              const delay = retryDelay * 2 ** (attempt - 1);
+              log.warn({ url: toUrl(job.urlPath), attempt, delay, error: error.message }, "Capture failed, retrying");
+              await new Promise((resolve) => setTimeout(resolve, delay));
+            }
+          }
+          if (!captures) continue;
+          await pending; // keep at most one save in flight per worker
+          pending = saves[index] = Promise.all(captures.map(saveCapture)).catch((error) => {
+            fail(index, error, 1);
+            return [];
+          });
+        }
+        await pending;
+      } finally {
+        if (page) await page.close().catch(() => {});
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, runnable.length) }, worker));
+    const saved = (await Promise.all(saves.filter(Boolean))).flat();
+
+    // Jobs neither captured nor failed were skipped after an earlier failure
+    for (let index = 0; index < runnable.length; index++) {
+      if (failures[index] || saves[index]) continue;
+      const { url, outputPath } = planJob(runnable[index]);
+      const { browserName: browser, device } = runnable[index];
+      const error = "Skipped after an earlier failure";
+      failures[index] = { url, outputPath, browser, device: device.name, status: "skipped", attempts: 0, error };
     }
+    const failed = failures.filter(Boolean);
+    log.info(
+      {
+        captured: runnable.length - failed.length,
+        failed: failed.filter((failure) => failure.status === "failed").length,
+        skipped: failed.filter((failure) => failure.status === "skipped").length,
+      },
+      "Capture summary",
+    );
 
-    // Set outputs and cleanup
-    log.info(`::set-output name=screenshot_paths::${results.join(",")}`);
-    if (results.length > 0) log.info(`::set-output name=screenshot_path::${results[0]}`);
-    await browser.close();
-  } catch (error) {
-    log.error("Error taking screenshot", { error: error.message });
-    process.exit(1);
+    const compared = saved.filter((result) => result.diffPercent !== undefined);
+    const drifted = compared
+      .filter((result) => result.diffPercent > compare.threshold)
+      .map((result) => `${result.outputPath} (${result.diffPercent}%)`);
+    const changedSnapshots = saved
+      .flatMap((result) => result.snapshots || [])
+      .filter((snapshot) => snapshot.added || snapshot.removed)
+      .map((snapshot) => `${snapshot.outputPath} (+${snapshot.added} -${snapshot.removed})`);
+    if (unchanged.enabled) {
+      log.info("Skipped unchanged screenshots", {
+        updated: saved.filter((result) => result.status === "updated").length,
+        unchanged: saved.filter((result) => result.status === "unchanged").length,
+      });
+    }
+
+    // Write the manifest describing every capture, if asked for
+    const manifestPath = options.manifest ? path.resolve(workspacePath, options.manifest) : null;
+    if (manifestPath) {
+      await ensureDir(path.dirname(manifestPath));
+      await fs.writeFile(manifestPath, JSON.stringify({ captures: saved, failures: failed }, null, 2) + "\n");
+      log.info("Manifest saved", { path: manifestPath });
+    }
+
+    // Write a <picture> snippet (.html) or srcset listing (.json) of every image and its variants, if asked for
+    const srcset = { output: null, sizes: "100vw", ...settings.srcset };
+    const srcsetPath = srcset.output ? path.resolve(workspacePath, srcset.output) : null;
+    if (srcsetPath) {
+      const entries = srcsetEntries(saved, path.dirname(srcsetPath), srcset.sizes);
+      await ensureDir(path.dirname(srcsetPath));
+      await fs.writeFile(
+        srcsetPath,
+        path.extname(srcsetPath).toLowerCase() === ".json"
+          ? JSON.stringify({ images: entries }, null, 2) + "\n"
+          : entries.map(pictureHtml).join("\n\n") + "\n",
+      );
+      log.info("Srcset snippet saved", { path: srcsetPath, images: entries.length });
+    }
+
+    // failOn decides whether failed captures fail the run: any of them, only if nothing was captured, or never
+    const errors = [];
+    const allFailed = failed.length > 0 && failed.length === runnable.length;
+    if (failOn === "any" ? failed.length > 0 : failOn === "all" && allFailed) {
+      const list = failed.map((failure) => `${failure.outputPath} (${failure.error})`);
+      errors.push(`Failed to capture ${failed.length} of ${runnable.length}: ${list.join(", ")}`);
+    }
+    if (launchFailures.length > 0) errors.push(`Could not launch: ${launchFailures.join(", ")}`);
+    if (drifted.length > 0) errors.push(`Visual differences exceed ${compare.threshold}% in: ${drifted.join(", ")}`);
+    if (changedSnapshots.length > 0) errors.push(`Snapshots changed: ${changedSnapshots.join(", ")}`);
+    return { captures: saved, failures: failed, errors, manifest: manifestPath, srcset: srcsetPath };
   } finally {
-    if (server && server.server) server.server.close();
+    await Promise.all(Object.values(browsers).map((browser) => browser.close().catch(() => {})));
+    if (server) server.close();
+    if (command) await stopCommand(command);
   }
-})();
+}
+
+module.exports = { captureScreenshots, optionsFromInputs, loadConfig, mergeOptions };
@@ -1,30 +1,43 @@
 // Purpose: High-signal tests covering behaviors described in README and implemented in screenshot.js
 // Notes: Mocks external libs; avoids real browser/server/I/O. Focus on normal flows, not edge errors.
 
+const crypto = require("crypto");
 const path = require("path");
 
-// Dynamic mocks per test using jest.doMock + isolateModules
-function withMockedModules(factories, run) {
+// Dynamic mocks per test using jest.doMock + isolateModules. Runs the action once the test has set its
+// inputs, and resolves when it finishes
+function withMockedModules(factories, setInputs) {
   jest.resetModules();
   Object.entries(factories).forEach(([mod, factory]) => jest.doMock(mod, factory));
-  return (async () => {
-    jest.isolateModules(() => {
-      run();
-    });
-    // Allow the async IIFE in screenshot.js to run to completion using mocks
-    await new Promise((r) => setImmediate(r));
-  })();
+  let action;
+  jest.isolateModules(() => {
+    setInputs();
+    action = require(path.resolve(process.cwd(), "action.js"));
+  });
+  return action.run();
 }
 
 // Build common mocks we can tweak per test
+// Paths of the encoded image outputs among fs.writeFile calls
+const encodedPaths = (writeFile) =>
+  writeFile.mock.calls.filter(([, data]) => String(data) === "enc").map(([file]) => file);
+
 function buildMocks() {
   const mkdir = jest.fn(() => Promise.resolve());
+  const writeFile = jest.fn(() => Promise.resolve());
+  const rm = jest.fn(() => Promise.resolve());
+  // No files exist unless a test says otherwise (e.g. config files, baselines)
+  const readFile = jest.fn(() => Promise.reject(Object.assign(new Error("ENOENT"), { code: "ENOENT" })));
 
   const page = {
     setViewportSize: jest.fn(() => Promise.resolve()),
     goto: jest.fn(() => Promise.resolve()),
     waitForTimeout: jest.fn(() => Promise.resolve()),
     screenshot: jest.fn(() => Promise.resolve(Buffer.from("buf"))),
+    close: jest.fn(() => Promise.resolve()),
+    on: jest.fn(),
+    off: jest.fn(),
+    mainFrame: jest.fn(() => "main"),
   };
   const browser = { newPage: jest.fn(() => Promise.resolve(page)), close: jest.fn(() => Promise.resolve()) };
 
@@ -34,16 +47,30 @@ function buildMocks() {
     png: jest.fn().mockReturnThis(),
     jpeg: jest.fn().mockReturnThis(),
     webp: jest.fn().mockReturnThis(),
-    toFile: jest.fn(() => Promise.resolve()),
+    avif: jest.fn().mockReturnThis(),
+    tiff: jest.fn().mockReturnThis(),
+    gif: jest.fn().mockReturnThis(),
+    resize: jest.fn().mockReturnThis(),
+    toFile: jest.fn(() => Promise.resolve({ format: "webp", width: 1280, height: 800, size: 3 })),
+    // Encoded outputs, written with fs.writeFile
+    toBuffer: jest.fn(() =>
+      Promise.resolve({ data: Buffer.from("enc"), info: { format: "webp", width: 1280, height: 800, size: 3 } }),
+    ),
   };
   const sharp = jest.fn(() => sharpInstance);
 
-  // polka() -> app.use(...) -> app.listen(port, cb) => { server: { close } }
-  const httpServer = { close: jest.fn() };
+  // polka() -> app.use(...) -> app.listen(port, host, cb) => { server: http.Server }
+  const httpServer = {
+    close: jest.fn(),
+    on: jest.fn(),
+    listen: jest.fn(),
+    address: jest.fn(() => ({ port: httpServer.port })),
+  };
   const app = {
     use: jest.fn(() => app),
     listen: jest.fn((port, hostOrCb, maybeCb) => {
       const cb = typeof hostOrCb === "function" ? hostOrCb : maybeCb;
+      httpServer.port = port;
       setImmediate(() => cb && cb());
       return { server: httpServer };
     }),
@@ -51,10 +78,32 @@ function buildMocks() {
   const polka = jest.fn(() => app);
   const sirv = jest.fn(() => (req, res, next) => next && next());
 
-  const pinoInstance = { info: jest.fn(), error: jest.fn() };
+  const pinoInstance = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
   const pino = jest.fn(() => pinoInstance);
 
-  return { mkdir, page, browser, chromium, sharpInstance, sharp, httpServer, app, polka, sirv, pinoInstance, pino };
+  // Outputs are read back as { name: value }
+  const outputs = {};
+  const core = { setOutput: jest.fn((name, value) => (outputs[name] = value)) };
+
+  return {
+    mkdir,
+    readFile,
+    writeFile,
+    rm,
+    page,
+    browser,
+    chromium,
+    sharpInstance,
+    sharp,
+    httpServer,
+    app,
+    polka,
+    sirv,
+    pinoInstance,
+    pino,
+    core,
+    outputs,
+  };
 }
 
 describe("screenshot.js integration (mocked)", () => {
@@ -75,16 +124,18 @@ describe("screenshot.js integration (mocked)", () => {
 
     await withMockedModules(
       {
-        fs: () => ({ promises: { mkdir: mocks.mkdir } }),
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
         playwright: () => ({ chromium: mocks.chromium }),
         sharp: () => mocks.sharp,
         polka: () => mocks.polka,
         sirv: () => mocks.sirv,
         pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
       },
       () => {
         process.env.SCREENSHOTS = SCREENSHOTS;
-        require(path.resolve(process.cwd(), "screenshot.js"));
       },
     );
 
@@ -106,12 +157,11 @@ describe("screenshot.js integration (mocked)", () => {
 
     // Creates output dirs recursively and writes files in workspace
     expect(mocks.mkdir).toHaveBeenCalledWith(path.resolve("/workspace", "out"), { recursive: true });
-    expect(mocks.sharpInstance.toFile).toHaveBeenCalledTimes(3);
+    expect(encodedPaths(mocks.writeFile)).toHaveLength(3);
 
-    // Outputs set via logger
-    const outputLogs = mocks.pinoInstance.info.mock.calls.map((c) => String(c[0]));
-    expect(outputLogs.some((s) => s.startsWith("::set-output name=screenshot_paths::"))).toBe(true);
-    expect(outputLogs.some((s) => s.startsWith("::set-output name=screenshot_path::"))).toBe(true);
+    // Outputs set via @actions/core
+    expect(mocks.outputs.screenshot_paths.split(",")).toHaveLength(3);
+    expect(mocks.outputs.screenshot_path).toBe(path.resolve("/workspace", "out/home.webp"));
 
     // Server closed in finally
     expect(mocks.httpServer.close).toHaveBeenCalled();
@@ -121,16 +171,18 @@ describe("screenshot.js integration (mocked)", () => {
     const mocks = buildMocks();
     await withMockedModules(
       {
-        fs: () => ({ promises: { mkdir: mocks.mkdir } }),
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
         playwright: () => ({ chromium: mocks.chromium }),
         sharp: () => mocks.sharp,
         polka: () => mocks.polka,
         sirv: () => mocks.sirv,
         pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
       },
       () => {
         process.env.SCREENSHOTS = "https://example.com/=out/a.webp, http://foo.bar/page=out/b.jpg";
-        require(path.resolve(process.cwd(), "screenshot.js"));
       },
     );
 
@@ -146,17 +198,19 @@ describe("screenshot.js integration (mocked)", () => {
     const mocks = buildMocks();
     await withMockedModules(
       {
-        fs: () => ({ promises: { mkdir: mocks.mkdir } }),
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
         playwright: () => ({ chromium: mocks.chromium }),
         sharp: () => mocks.sharp,
         polka: () => mocks.polka,
         sirv: () => mocks.sirv,
         pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
       },
       () => {
         process.env.SCREENSHOTS = "/=a.webp";
         process.env.INPUT_PORT = "4321";
-        require(path.resolve(process.cwd(), "screenshot.js"));
       },
     );
 
@@ -168,44 +222,48 @@ describe("screenshot.js integration (mocked)", () => {
     const mocks = buildMocks();
     await withMockedModules(
       {
-        fs: () => ({ promises: { mkdir: mocks.mkdir } }),
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
         playwright: () => ({ chromium: mocks.chromium }),
         sharp: () => mocks.sharp,
         polka: () => mocks.polka,
         sirv: () => mocks.sirv,
         pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
       },
       () => {
         delete process.env.SCREENSHOTS;
-        require(path.resolve(process.cwd(), "screenshot.js"));
       },
     );
 
     expect(mocks.page.goto).toHaveBeenCalledWith("http://localhost:3000/", expect.any(Object));
-    expect(mocks.sharpInstance.toFile).toHaveBeenCalledWith(path.resolve("/workspace", "screenshot.webp"));
+    expect(mocks.writeFile).toHaveBeenCalledWith(path.resolve("/workspace", "screenshot.webp"), Buffer.from("enc"));
   });
 
   test("Resolves output paths under workspace and picks format + options by extension", async () => {
     const mocks = buildMocks();
     await withMockedModules(
       {
-        fs: () => ({ promises: { mkdir: mocks.mkdir } }),
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
         playwright: () => ({ chromium: mocks.chromium }),
         sharp: () => mocks.sharp,
         polka: () => mocks.polka,
         sirv: () => mocks.sirv,
         pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
       },
       () => {
         process.env.SCREENSHOTS = "/=a.png, /=b.jpg, /=c.webp";
         process.env.INPUT_WEBP_OPTIONS = '{"quality":90}';
         process.env.INPUT_PNG_OPTIONS = '{"quality":95}';
         process.env.INPUT_JPEG_OPTIONS = '{"quality":85}';
-        require(path.resolve(process.cwd(), "screenshot.js"));
       },
     );
 
-    const outCalls = mocks.sharpInstance.toFile.mock.calls.map((c) => c[0]);
+    const outCalls = encodedPaths(mocks.writeFile);
     expect(outCalls).toEqual([
       path.resolve("/workspace", "a.png"),
       path.resolve("/workspace", "b.jpg"),
@@ -217,21 +275,256 @@ describe("screenshot.js integration (mocked)", () => {
     expect(mocks.sharpInstance.webp).toHaveBeenCalledWith({ quality: 90 });
   });
 
+  test("Writes AVIF, TIFF and GIF outputs, with an explicit format overriding the extension", async () => {
+    const mocks = buildMocks();
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=hero.avif, /=print.tif, /=icon.gif, /=hero.img?format=avif&quality=50";
+        process.env.INPUT_AVIF_OPTIONS = '{"quality":60,"effort":6}';
+        process.env.INPUT_GIF_OPTIONS = '{"colours":64}';
+      },
+    );
+
+    expect(mocks.sharpInstance.avif.mock.calls).toEqual([[{ quality: 60, effort: 6 }], [{ quality: 50, effort: 6 }]]);
+    expect(mocks.sharpInstance.tiff).toHaveBeenCalledWith({ compression: "lzw" });
+    expect(mocks.sharpInstance.gif).toHaveBeenCalledWith({ colours: 64 });
+    expect(mocks.sharpInstance.webp).not.toHaveBeenCalled();
+  });
+
+  test("Frames the capture in browser chrome with its URL on a gradient background before encoding", async () => {
+    const mocks = buildMocks();
+    const presented = Buffer.from("presented");
+    const composite = jest.fn().mockReturnThis();
+    mocks.sharp.mockImplementation((input) => ({
+      ...mocks.sharpInstance,
+      metadata: jest.fn(() => Promise.resolve({ width: 1280, height: 800 })),
+      composite,
+      png: jest.fn().mockReturnThis(),
+      toBuffer: jest.fn((opts) =>
+        opts?.resolveWithObject
+          ? mocks.sharpInstance.toBuffer(opts)
+          : Promise.resolve(input.create?.height === 936 ? presented : Buffer.from("framed")),
+      ),
+    }));
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/docs/=hero.png";
+        process.env.INPUT_FRAME = "browser";
+        process.env.INPUT_SHADOW = "true";
+        process.env.INPUT_BACKGROUND = "linear-gradient(to right, #a1c4fd, rgb(194, 233, 251))";
+      },
+    );
+
+    // The browser chrome shows the URL above the capture
+    const [chrome, capture] = composite.mock.calls[0][0];
+    expect(String(chrome.input)).toContain(">http://localhost:3000/docs/</text>");
+    expect(capture).toEqual({ input: Buffer.from("buf"), top: 40, left: 0 });
+    // 1280x840 window plus the default 48px margin, on the gradient, with a shadow under the window
+    expect(mocks.sharp).toHaveBeenCalledWith({
+      create: { width: 1376, height: 936, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } },
+    });
+    const [background, shadow, window] = composite.mock.calls[1][0];
+    expect(String(background.input)).toContain(
+      '<linearGradient id="bg" x1="0" y1="0.5" x2="1" y2="0.5"><stop offset="0%" stop-color="#a1c4fd"/>' +
+        '<stop offset="100%" stop-color="rgb(194, 233, 251)"/></linearGradient>',
+    );
+    expect(String(shadow.input)).toContain('<feGaussianBlur stdDeviation="12"/>');
+    expect(window).toEqual({ input: Buffer.from("framed"), top: 48, left: 48 });
+    expect(mocks.sharp).toHaveBeenCalledWith(presented);
+    expect(mocks.writeFile).toHaveBeenCalledWith(path.resolve("/workspace", "hero.png"), Buffer.from("enc"));
+  });
+
+  test("Captures light and dark schemes per locale with timezone, geolocation and media features", async () => {
+    const mocks = buildMocks();
+    mocks.page.emulateMedia = jest.fn(() => Promise.resolve());
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS =
+          "/=home.png?colorScheme=both, /about=about.png?reducedMotion=reduce&forcedColors=active";
+        process.env.INPUT_LOCALE = "en-US, de-DE";
+        process.env.INPUT_TIMEZONE = "Europe/Berlin";
+        process.env.INPUT_GEOLOCATION = "52.52,13.405";
+      },
+    );
+
+    expect(encodedPaths(mocks.writeFile).map((file) => path.basename(file))).toEqual([
+      "home-light-en-US.png",
+      "home-dark-en-US.png",
+      "home-light-de-DE.png",
+      "home-dark-de-DE.png",
+      "about-en-US.png",
+      "about-de-DE.png",
+    ]);
+    // A new context per locale, reused across color schemes; geolocation is granted
+    expect(mocks.browser.newPage.mock.calls.map((c) => c[0].locale)).toEqual(["en-US", "de-DE", "en-US", "de-DE"]);
+    expect(mocks.browser.newPage.mock.calls[0][0]).toEqual({
+      locale: "en-US",
+      timezoneId: "Europe/Berlin",
+      geolocation: { latitude: 52.52, longitude: 13.405 },
+      permissions: ["geolocation"],
+    });
+    expect(mocks.page.emulateMedia.mock.calls.map((c) => c[0])).toEqual([
+      { media: null, colorScheme: "light", reducedMotion: null, forcedColors: null },
+      { media: null, colorScheme: "dark", reducedMotion: null, forcedColors: null },
+      { media: null, colorScheme: "light", reducedMotion: null, forcedColors: null },
+      { media: null, colorScheme: "dark", reducedMotion: null, forcedColors: null },
+      { media: null, colorScheme: null, reducedMotion: "reduce", forcedColors: "active" },
+      { media: null, colorScheme: null, reducedMotion: "reduce", forcedColors: "active" },
+    ]);
+  });
+
+  test("Writes resized variants in each format and a <picture> snippet listing them", async () => {
+    const mocks = buildMocks();
+    // Report the resized width of variants
+    let resized = null;
+    mocks.sharpInstance.resize.mockImplementation(function ({ width }) {
+      resized = width;
+      return this;
+    });
+    mocks.sharpInstance.toFile.mockImplementation(() =>
+      Promise.resolve({ format: "webp", width: resized, height: resized / 1.6, size: 3 }),
+    );
+    const writeFile = jest.fn(() => Promise.resolve());
+    await withMockedModules(
+      {
+        fs: () => ({ promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile } }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/docs/=img/docs.webp?widths=480+960+2000&variantFormats=avif+webp";
+        process.env.INPUT_SRCSET = "site/screenshots.html";
+        process.env.INPUT_SRCSET_SIZES = "(max-width: 960px) 100vw, 960px";
+      },
+    );
+
+    // Widths larger than the capture are skipped
+    expect(encodedPaths(writeFile)).toEqual([path.resolve("/workspace", "img/docs.webp")]);
+    expect(mocks.sharpInstance.toFile.mock.calls.map((c) => c[0])).toEqual(
+      ["img/docs-480.avif", "img/docs-480.webp", "img/docs-960.avif", "img/docs-960.webp"].map((file) =>
+        path.resolve("/workspace", file),
+      ),
+    );
+    expect(writeFile).toHaveBeenCalledWith(
+      path.resolve("/workspace", "site/screenshots.html"),
+      [
+        "<!-- http://localhost:3000/docs/ -->",
+        "<picture>",
+        '  <source type="image/avif" srcset="../img/docs-480.avif 480w, ../img/docs-960.avif 960w" sizes="(max-width: 960px) 100vw, 960px">',
+        '  <img src="../img/docs.webp" srcset="../img/docs-480.webp 480w, ../img/docs-960.webp 960w, ../img/docs.webp 1280w" sizes="(max-width: 960px) 100vw, 960px" width="1280" height="800" alt="Screenshot of /docs/" loading="lazy">',
+        "</picture>",
+        "",
+      ].join("\n"),
+    );
+    expect(mocks.outputs.srcset).toBe(path.resolve("/workspace", "site/screenshots.html"));
+  });
+
+  test("Prints .pdf outputs with page.pdf() options and emulated media instead of encoding images", async () => {
+    const mocks = buildMocks();
+    mocks.page.emulateMedia = jest.fn(() => Promise.resolve());
+    mocks.page.pdf = jest.fn(() => Promise.resolve(Buffer.from("%PDF")));
+    const writeFile = jest.fn(() => Promise.resolve());
+    await withMockedModules(
+      {
+        fs: () => ({ promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile } }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/report.html=report.pdf?media=screen, /=home.png";
+        process.env.INPUT_PDF_OPTIONS =
+          '{"format":"Letter","landscape":true,"footerTemplate":"<span class=pageNumber>"}';
+      },
+    );
+
+    expect(mocks.page.pdf).toHaveBeenCalledWith({
+      displayHeaderFooter: true,
+      format: "Letter",
+      landscape: true,
+      footerTemplate: "<span class=pageNumber>",
+    });
+    expect(writeFile).toHaveBeenCalledWith(path.resolve("/workspace", "report.pdf"), Buffer.from("%PDF"));
+    // Screen media is reset for the next page, which is captured as an image as usual
+    const noFeatures = { media: null, colorScheme: null, reducedMotion: null, forcedColors: null };
+    expect(mocks.page.emulateMedia.mock.calls).toEqual([[{ ...noFeatures, media: "screen" }], [noFeatures]]);
+    expect(encodedPaths(writeFile)).toEqual([path.resolve("/workspace", "home.png")]);
+  });
+
+  test("Rejects unsupported extensions before launching a browser instead of writing WebP", async () => {
+    const mocks = buildMocks();
+    jest.resetModules();
+    jest.doMock("fs", () => ({
+      promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+    }));
+    jest.doMock("playwright", () => ({ chromium: mocks.chromium }));
+    jest.doMock("sharp", () => mocks.sharp);
+    jest.doMock("pino", () => mocks.pino);
+    const { captureScreenshots } = require(path.resolve(process.cwd(), "screenshot.js"));
+
+    await expect(captureScreenshots({ pages: [{ url: "/", output: "home.wbep" }] })).rejects.toThrow(
+      'Unsupported extension ".wbep" for home.wbep. Use .webp, .png, .jpg, .jpeg, .avif, .tif, .tiff, .gif, .pdf or set format',
+    );
+    expect(mocks.chromium.launch).not.toHaveBeenCalled();
+  });
+
   test("Toggles fullPage false when INPUT_HEIGHT is set, true otherwise", async () => {
     const mocks = buildMocks();
     // First run without height
     await withMockedModules(
       {
-        fs: () => ({ promises: { mkdir: mocks.mkdir } }),
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
         playwright: () => ({ chromium: mocks.chromium }),
         sharp: () => mocks.sharp,
         polka: () => mocks.polka,
         sirv: () => mocks.sirv,
         pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
       },
       () => {
         process.env.SCREENSHOTS = "/=a.webp";
-        require(path.resolve(process.cwd(), "screenshot.js"));
       },
     );
     expect(mocks.page.screenshot).toHaveBeenLastCalledWith({ fullPage: true });
@@ -240,20 +533,1438 @@ describe("screenshot.js integration (mocked)", () => {
     const mocks2 = buildMocks();
     await withMockedModules(
       {
-        fs: () => ({ promises: { mkdir: mocks2.mkdir } }),
+        fs: () => ({
+          promises: { mkdir: mocks2.mkdir, readFile: mocks2.readFile, writeFile: mocks2.writeFile, rm: mocks2.rm },
+        }),
         playwright: () => ({ chromium: mocks2.chromium }),
         sharp: () => mocks2.sharp,
         polka: () => mocks2.polka,
         sirv: () => mocks2.sirv,
         pino: () => mocks2.pino,
+        "@actions/core": () => mocks2.core,
       },
       () => {
         process.env.SCREENSHOTS = "/=a.webp";
         process.env.INPUT_HEIGHT = "900";
-        require(path.resolve(process.cwd(), "screenshot.js"));
       },
     );
     expect(mocks2.page.setViewportSize).toHaveBeenCalledWith({ width: 1280, height: 900 });
     expect(mocks2.page.screenshot).toHaveBeenLastCalledWith({ fullPage: false });
   });
+
+  test("Compare mode diffs against the existing file, writes a diff image and fails on drift", async () => {
+    const mocks = buildMocks();
+    // 2x1 RGBA images: the baseline is all white, the capture encodes to "enc", which has one black pixel
+    const pixels = {
+      base: Buffer.from([255, 255, 255, 255, 255, 255, 255, 255]),
+      enc: Buffer.from([255, 255, 255, 255, 0, 0, 0, 255]),
+    };
+    mocks.sharp.mockImplementation((input) => ({
+      ...mocks.sharpInstance,
+      ensureAlpha: jest.fn().mockReturnThis(),
+      raw: jest.fn().mockReturnThis(),
+      toBuffer: jest.fn((opts) => {
+        if (!opts?.resolveWithObject) return Promise.resolve(Buffer.from("diff"));
+        const data = pixels[String(input)] ?? Buffer.from("enc");
+        return Promise.resolve({ data, info: { width: 2, height: 1 } });
+      }),
+    }));
+    mocks.pinoInstance.warn = jest.fn();
+    mocks.readFile.mockImplementation((file) =>
+      file.endsWith("a.png") ? Promise.resolve(Buffer.from("base")) : Promise.reject({ code: "ENOENT" }),
+    );
+    const writeFile = jest.fn(() => Promise.resolve());
+    const exit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+    await withMockedModules(
+      {
+        fs: () => ({ promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile } }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=out/a.png";
+        process.env.INPUT_COMPARE = "true";
+      },
+    );
+    expect(mocks.readFile).toHaveBeenCalledWith(path.resolve("/workspace", "out/a.png"));
+    expect(writeFile).toHaveBeenCalledWith(path.resolve("/workspace", "out/a.diff.png"), Buffer.from("diff"));
+    expect(mocks.outputs.diff_percentages).toBe('{"out/a.png":50}');
+    expect(exit).toHaveBeenCalledWith(1);
+    exit.mockRestore();
+  });
+
+  test("Removes a stale diff image when the capture matches its baseline again", async () => {
+    const mocks = buildMocks();
+    const pixels = Buffer.from([255, 255, 255, 255]);
+    mocks.sharp.mockImplementation(() => ({
+      ...mocks.sharpInstance,
+      ensureAlpha: jest.fn().mockReturnThis(),
+      raw: jest.fn().mockReturnThis(),
+      toBuffer: jest.fn(() => Promise.resolve({ data: pixels, info: { width: 1, height: 1 } })),
+    }));
+    mocks.readFile.mockImplementation((file) =>
+      file.endsWith("a.png") ? Promise.resolve(Buffer.from("base")) : Promise.reject({ code: "ENOENT" }),
+    );
+    const writeFile = jest.fn(() => Promise.resolve());
+    const rm = jest.fn(() => Promise.resolve());
+
+    await withMockedModules(
+      {
+        fs: () => ({ promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile, rm } }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=out/a.png";
+        process.env.INPUT_COMPARE = "true";
+      },
+    );
+    expect(writeFile).not.toHaveBeenCalledWith(path.resolve("/workspace", "out/a.diff.png"), expect.anything());
+    expect(rm).toHaveBeenCalledWith(path.resolve("/workspace", "out/a.diff.png"), { force: true });
+    expect(mocks.outputs.diff_percentages).toBe('{"out/a.png":0}');
+  });
+
+  test("Merges per-pair options over global inputs", async () => {
+    const mocks = buildMocks();
+    const element = { boundingBox: jest.fn(() => Promise.resolve({ x: 10, y: 20, width: 100, height: 50 })) };
+    mocks.page.locator = jest.fn(() => ({ first: () => element }));
+    mocks.page.evaluate = jest.fn(() => Promise.resolve([0, 0]));
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = [
+          "/=desktop.webp",
+          "/=mobile.png?width=375&height=667",
+          "/=card.webp?selector=.card&delay=0",
+          "/=home.jpg?format=jpeg&quality=70",
+        ].join("\n");
+        process.env.INPUT_WIDTH = "1440";
+      },
+    );
+
+    expect(mocks.page.setViewportSize.mock.calls.map((c) => c[0])).toEqual([
+      { width: 1440, height: 800 },
+      { width: 375, height: 667 },
+      { width: 1440, height: 800 },
+      { width: 1440, height: 800 },
+    ]);
+    expect(mocks.page.screenshot.mock.calls.map((c) => c[0])).toEqual([
+      { fullPage: true },
+      { fullPage: false },
+      { fullPage: true, clip: { x: 10, y: 20, width: 100, height: 50 } },
+      { fullPage: true },
+    ]);
+    expect(mocks.page.locator).toHaveBeenCalledWith(".card");
+    expect(mocks.page.waitForTimeout.mock.calls.map((c) => c[0])).toEqual([500, 500, 0, 500]);
+    expect(mocks.sharpInstance.jpeg).toHaveBeenCalledWith({ quality: 70 });
+  });
+
+  test("Captures every selector match with padding as numbered files", async () => {
+    const mocks = buildMocks();
+    const boxes = [
+      { x: 5, y: 40, width: 100, height: 50 },
+      { x: 200, y: 40, width: 100, height: 50 },
+    ];
+    const elements = boxes.map((box) => ({ boundingBox: jest.fn(() => Promise.resolve(box)) }));
+    mocks.page.locator = jest.fn(() => ({ all: () => Promise.resolve(elements) }));
+    mocks.page.evaluate = jest.fn(() => Promise.resolve([0, 100])); // scrolled down 100px
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=cards/card.png?selector=.card&padding=10&allMatches=true";
+      },
+    );
+
+    // Padding is clamped at the page edge; boxes are shifted by the scroll offset
+    expect(mocks.page.screenshot.mock.calls.map((c) => c[0])).toEqual([
+      { fullPage: true, clip: { x: 0, y: 130, width: 115, height: 70 } },
+      { fullPage: true, clip: { x: 190, y: 130, width: 120, height: 70 } },
+    ]);
+    expect(encodedPaths(mocks.writeFile)).toEqual([
+      path.resolve("/workspace", "cards/card-1.png"),
+      path.resolve("/workspace", "cards/card-2.png"),
+    ]);
+  });
+
+  test("Captures every pair on each device with templated output paths", async () => {
+    const mocks = buildMocks();
+    const devices = {
+      "iPhone 13": {
+        userAgent: "UA",
+        viewport: { width: 390, height: 664 },
+        deviceScaleFactor: 3,
+        isMobile: true,
+        hasTouch: true,
+        defaultBrowserType: "webkit",
+      },
+    };
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium, devices }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/docs/about.html=shots/{name}-{device}-{width}.png, /=home.webp";
+        process.env.INPUT_DEVICES = "iPhone 13, 768x1024@2";
+      },
+    );
+
+    expect(mocks.browser.newPage.mock.calls.map((c) => c[0])).toEqual([
+      {
+        userAgent: "UA",
+        viewport: { width: 390, height: 664 },
+        deviceScaleFactor: 3,
+        isMobile: true,
+        hasTouch: true,
+      },
+      { deviceScaleFactor: 2, viewport: { width: 768, height: 1024 } },
+    ]);
+    expect(mocks.page.close).toHaveBeenCalledTimes(2);
+    expect(mocks.page.setViewportSize).toHaveBeenCalledWith({ width: 390, height: 664 });
+    expect(mocks.page.screenshot).toHaveBeenCalledWith({ fullPage: true });
+    expect(encodedPaths(mocks.writeFile)).toEqual([
+      path.resolve("/workspace", "shots/docs-about-iphone-13-390.png"),
+      path.resolve("/workspace", "home-iphone-13.webp"),
+      path.resolve("/workspace", "shots/docs-about-768x1024-2-768.png"),
+      path.resolve("/workspace", "home-768x1024-2.webp"),
+    ]);
+  });
+
+  test("Loads pages, defaults and formats from screenshots.config.yaml", async () => {
+    const mocks = buildMocks();
+    const config = [
+      "defaults:",
+      "  width: 1024",
+      "  delay: 0",
+      "formats:",
+      "  png: { compressionLevel: 9 }",
+      "pages:",
+      "  - url: /",
+      "    output: home.png",
+      "  - url: /about.html",
+      "    output: about.png",
+      "    width: 375",
+    ].join("\n");
+    mocks.readFile.mockImplementation((file) =>
+      file === path.resolve("/workspace", "screenshots.config.yaml")
+        ? Promise.resolve(config)
+        : Promise.reject({ code: "ENOENT" }),
+    );
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/ignored.html=ignored.webp";
+        process.env.INPUT_WIDTH = "1280";
+      },
+    );
+
+    expect(mocks.page.goto.mock.calls.map((c) => c[0])).toEqual([
+      "http://localhost:3000/",
+      "http://localhost:3000/about.html",
+    ]);
+    expect(mocks.page.setViewportSize.mock.calls.map((c) => c[0].width)).toEqual([1024, 375]);
+    expect(mocks.page.waitForTimeout).toHaveBeenCalledWith(0);
+    expect(mocks.sharpInstance.png).toHaveBeenCalledWith({ compressionLevel: 9 });
+  });
+
+  test("captureScreenshots() options take precedence over a config file, which fills in the rest", async () => {
+    const mocks = buildMocks();
+    const config = { defaults: { width: 1024, delay: 0 }, pages: [{ url: "/config.html", output: "config.png" }] };
+    mocks.readFile.mockImplementation((file) =>
+      file === path.resolve("/site", "screenshots.config.json")
+        ? Promise.resolve(JSON.stringify(config))
+        : Promise.reject({ code: "ENOENT" }),
+    );
+    jest.resetModules();
+    jest.doMock("fs", () => ({
+      promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+    }));
+    jest.doMock("playwright", () => ({ chromium: mocks.chromium }));
+    jest.doMock("sharp", () => mocks.sharp);
+    jest.doMock("polka", () => mocks.polka);
+    jest.doMock("sirv", () => mocks.sirv);
+    jest.doMock("pino", () => mocks.pino);
+    const { captureScreenshots } = require(path.resolve(process.cwd(), "screenshot.js"));
+
+    await captureScreenshots({
+      cwd: path.resolve("/site"),
+      pages: [{ url: "/api.html", output: "api.png" }],
+      defaults: { width: 1440 },
+    });
+    expect(mocks.page.goto.mock.calls.map((c) => c[0])).toEqual(["http://localhost:3000/api.html"]);
+    expect(mocks.page.setViewportSize).toHaveBeenCalledWith({ width: 1440, height: 800 });
+    expect(mocks.page.waitForTimeout).toHaveBeenCalledWith(0); // from the config
+
+    // config: false ignores the file
+    mocks.page.waitForTimeout.mockClear();
+    await captureScreenshots({ cwd: path.resolve("/site"), config: false, pages: [{ url: "/", output: "a.png" }] });
+    expect(mocks.page.waitForTimeout).toHaveBeenCalledWith(500);
+  });
+
+  test("Installs the browsers named in the config file over the browsers input", async () => {
+    const mocks = buildMocks();
+    mocks.readFile.mockImplementation((file) =>
+      file === path.resolve("/workspace", "screenshots.config.json")
+        ? Promise.resolve(JSON.stringify({ browsers: ["firefox", "webkit"] }))
+        : Promise.reject({ code: "ENOENT" }),
+    );
+    jest.resetModules();
+    jest.doMock("fs", () => ({
+      promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+    }));
+    jest.doMock("pino", () => mocks.pino);
+    jest.doMock("@actions/core", () => mocks.core);
+    process.env.INPUT_BROWSERS = "chromium";
+    const { browsersToInstall } = require(path.resolve(process.cwd(), "action.js"));
+
+    expect(await browsersToInstall()).toEqual(["firefox", "webkit"]);
+  });
+
+  test("Reports every config schema problem at once with paths into the file", async () => {
+    const mocks = buildMocks();
+    const config = { defaults: { delay: -1 }, pages: [{ url: "/", output: "a.png", widht: 375, format: "bmp" }] };
+    mocks.readFile.mockImplementation((file) =>
+      file === path.resolve("/workspace", "shots.json")
+        ? Promise.resolve(JSON.stringify(config))
+        : Promise.reject({ code: "ENOENT" }),
+    );
+    const exit = jest.spyOn(process, "exit").mockImplementation(() => {});
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.INPUT_CONFIG = "shots.json";
+      },
+    );
+
+    expect(exit).toHaveBeenCalledWith(1);
+    exit.mockRestore();
+    expect(mocks.chromium.launch).not.toHaveBeenCalled();
+    const { error } = mocks.pinoInstance.error.mock.calls[0][0];
+    expect(error.split("\n")).toEqual([
+      "Invalid config shots.json:",
+      "  - defaults.delay must be >= 0",
+      "  - pages[0].format must be equal to one of the allowed values (webp, png, jpeg, jpg, avif, tiff, tif, gif, pdf)",
+      "  - pages[0] must NOT have unevaluated properties (widht)",
+    ]);
+  });
+
+  test("Applies global and per-page wait strategies before capturing", async () => {
+    const mocks = buildMocks();
+    mocks.page.waitForSelector = jest.fn(() => Promise.resolve());
+    mocks.page.waitForFunction = jest.fn(() => Promise.resolve());
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = [
+          "/=home.webp",
+          "/dashboard.html=dash.webp?waitUntil=networkidle&waitFor=.chart&waitForHidden=.spinner&timeout=60000",
+          "/app.html=app.webp?waitForFunction=window.appReady%20%3D%3D%3D%20true&delay=0",
+        ].join("\n");
+        process.env.INPUT_WAIT_FOR_FONTS = "true";
+      },
+    );
+
+    expect(mocks.page.goto.mock.calls.map((c) => c[1])).toEqual([
+      { waitUntil: "load", timeout: 30000 },
+      { waitUntil: "networkidle", timeout: 60000 },
+      { waitUntil: "load", timeout: 30000 },
+    ]);
+    expect(mocks.page.waitForSelector.mock.calls).toEqual([
+      [".chart", { state: "visible", timeout: 60000 }],
+      [".spinner", { state: "hidden", timeout: 60000 }],
+    ]);
+    // Fonts are awaited on every page; the app page also waits for its readiness flag
+    const predicates = mocks.page.waitForFunction.mock.calls.map((c) => c[0]);
+    expect(predicates.filter((p) => typeof p === "function")).toHaveLength(3);
+    expect(predicates.filter((p) => typeof p === "string")).toEqual(["window.appReady === true"]);
+    expect(mocks.page.waitForTimeout.mock.calls.map((c) => c[0])).toEqual([500, 500, 0]);
+  });
+
+  test("Captures on a pool of pages in parallel while keeping outputs in job order", async () => {
+    const mocks = buildMocks();
+    // The first page loads a tick later, so the second worker finishes the other two pages first
+    mocks.page.goto.mockImplementation((url) =>
+      url.endsWith("/slow.html") ? new Promise((r) => setImmediate(r)) : Promise.resolve(),
+    );
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/slow.html=slow.webp, /fast.html=fast.webp, /last.html=last.webp";
+        process.env.INPUT_CONCURRENCY = "2";
+      },
+    );
+
+    expect(mocks.browser.newPage).toHaveBeenCalledTimes(2);
+    expect(mocks.page.close).toHaveBeenCalledTimes(2);
+    expect(encodedPaths(mocks.writeFile).map((file) => path.basename(file))).toEqual([
+      "fast.webp",
+      "last.webp",
+      "slow.webp",
+    ]);
+    const paths = ["slow.webp", "fast.webp", "last.webp"].map((f) => path.resolve("/workspace", f));
+    expect(mocks.outputs.screenshot_paths).toBe(paths.join(","));
+  });
+
+  test("Captures on each browser engine and reports engines that fail to launch", async () => {
+    const mocks = buildMocks();
+    const webkitPage = { ...mocks.page, screenshot: jest.fn(() => Promise.resolve(Buffer.from("wk"))) };
+    const webkit = { launch: jest.fn(() => Promise.resolve({ ...mocks.browser, newPage: () => webkitPage })) };
+    const firefox = { launch: jest.fn(() => Promise.reject(new Error("Executable doesn't exist"))) };
+    const exit = jest.spyOn(process, "exit").mockImplementation(() => {});
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium, firefox, webkit }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=home.png, /about.html=about/{browser}.png";
+        process.env.INPUT_BROWSERS = "chromium, firefox, webkit";
+      },
+    );
+
+    expect(mocks.chromium.launch).toHaveBeenCalled();
+    expect(webkitPage.screenshot).toHaveBeenCalled();
+    expect(encodedPaths(mocks.writeFile)).toEqual([
+      path.resolve("/workspace", "home-chromium.png"),
+      path.resolve("/workspace", "about/chromium.png"),
+      path.resolve("/workspace", "home-webkit.png"),
+      path.resolve("/workspace", "about/webkit.png"),
+    ]);
+    expect(mocks.pinoInstance.error.mock.calls[0]).toEqual([
+      { error: "Executable doesn't exist" },
+      "Could not launch firefox. Install it with: npx playwright install --with-deps firefox",
+    ]);
+    expect(exit).toHaveBeenCalledWith(1);
+    exit.mockRestore();
+  });
+
+  test("Runs global and per-page interaction steps before capturing", async () => {
+    const mocks = buildMocks();
+    const order = [];
+    const track = (name) => jest.fn((...args) => (order.push([name, ...args.slice(0, 2)]), Promise.resolve()));
+    Object.assign(mocks.page, {
+      click: track("click"),
+      fill: track("fill"),
+      hover: track("hover"),
+      evaluate: track("evaluate"),
+      keyboard: { press: track("press") },
+    });
+    mocks.page.screenshot.mockImplementation(() => (order.push(["screenshot"]), Promise.resolve(Buffer.from("buf"))));
+    const pageSteps = [{ fill: "#search", value: "maps" }, { press: "Enter" }];
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = `/=home.png, /search.html=search.png?steps=${encodeURIComponent(JSON.stringify(pageSteps))}`;
+        process.env.INPUT_STEPS = JSON.stringify([{ click: "#accept-cookies" }, { hover: ".menu" }]);
+      },
+    );
+
+    expect(order).toEqual([
+      ["click", "#accept-cookies", { timeout: 30000 }],
+      ["hover", ".menu", { timeout: 30000 }],
+      ["screenshot"],
+      ["fill", "#search", "maps"],
+      ["press", "Enter"],
+      ["screenshot"],
+    ]);
+  });
+
+  test("Freezes the clock, seeds Math.random, injects CSS and masks dynamic regions", async () => {
+    const mocks = buildMocks();
+    Object.assign(mocks.page, {
+      clock: { setFixedTime: jest.fn(() => Promise.resolve()) },
+      addInitScript: jest.fn(() => Promise.resolve()),
+      addStyleTag: jest.fn(() => Promise.resolve()),
+      locator: jest.fn((selector) => ({ selector })),
+    });
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=home.png";
+        process.env.INPUT_CLOCK = "2024-01-01T00:00:00Z";
+        process.env.INPUT_RANDOM_SEED = "42";
+        process.env.INPUT_CSS = ".carousel { display: none }";
+        process.env.INPUT_MASK = ".timestamp";
+        process.env.INPUT_MASK_COLOR = "#000";
+        process.env.INPUT_DISABLE_ANIMATIONS = "true";
+      },
+    );
+
+    expect(mocks.page.clock.setFixedTime).toHaveBeenCalledWith(new Date("2024-01-01T00:00:00Z"));
+    expect(mocks.page.addInitScript).toHaveBeenCalledWith(expect.any(Function), 42);
+    expect(mocks.page.addStyleTag).toHaveBeenCalledWith({ content: ".carousel { display: none }" });
+    // Clock and seed are installed before navigation so page scripts see them
+    expect(mocks.page.clock.setFixedTime.mock.invocationCallOrder[0]).toBeLessThan(
+      mocks.page.goto.mock.invocationCallOrder[0],
+    );
+    expect(mocks.page.screenshot).toHaveBeenCalledWith({
+      fullPage: true,
+      mask: [{ selector: ".timestamp" }],
+      maskColor: "#000",
+      animations: "disabled",
+      caret: "hide",
+    });
+  });
+
+  test("Logs in once and reuses the session, credentials, headers and cookies in every context", async () => {
+    const mocks = buildMocks();
+    const context = {
+      addCookies: jest.fn(() => Promise.resolve()),
+      storageState: jest.fn(() => Promise.resolve({ cookies: [{ name: "sid" }], origins: [] })),
+    };
+    Object.assign(mocks.page, { context: () => context, fill: jest.fn(() => Promise.resolve()) });
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/admin.html=admin.png, /users.html=users.png";
+        process.env.ADMIN_PASSWORD = "s3cret";
+        process.env.INPUT_HTTP_CREDENTIALS = "staging:pa:ss";
+        process.env.INPUT_EXTRA_HEADERS = '{"X-Preview":"1"}';
+        process.env.INPUT_COOKIES = '[{"name":"consent","value":"yes"}]';
+        process.env.INPUT_LOGIN = JSON.stringify({
+          url: "/login.html",
+          steps: [{ fill: "#password", value: "${ADMIN_PASSWORD}" }],
+        });
+      },
+    );
+
+    // Login runs first, with env vars expanded in step values
+    expect(mocks.page.goto.mock.calls.map((c) => c[0])).toEqual([
+      "http://localhost:3000/login.html",
+      "http://localhost:3000/admin.html",
+      "http://localhost:3000/users.html",
+    ]);
+    expect(mocks.page.fill).toHaveBeenCalledWith("#password", "s3cret", { timeout: 30000 });
+
+    // The capture context starts from the login session
+    const credentials = {
+      httpCredentials: { username: "staging", password: "pa:ss" },
+      extraHTTPHeaders: { "X-Preview": "1" },
+    };
+    expect(mocks.browser.newPage.mock.calls).toEqual([
+      [credentials],
+      [{ ...credentials, storageState: { cookies: [{ name: "sid" }], origins: [] } }],
+    ]);
+    expect(context.addCookies).toHaveBeenCalledWith([{ name: "consent", value: "yes", url: "http://localhost:3000" }]);
+  });
+
+  test("Writes a manifest describing each capture and sets it as an output", async () => {
+    const mocks = buildMocks();
+    const writeFile = jest.fn(() => Promise.resolve());
+    await withMockedModules(
+      {
+        fs: () => ({ promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile } }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=docs/home.webp";
+        process.env.INPUT_MANIFEST = "docs/screenshots.json";
+      },
+    );
+
+    const manifestPath = path.resolve("/workspace", "docs/screenshots.json");
+    expect(writeFile).toHaveBeenCalledWith(manifestPath, expect.any(String));
+    const { captures } = JSON.parse(writeFile.mock.calls.find(([file]) => file === manifestPath)[1]);
+    expect(captures).toEqual([
+      {
+        url: "http://localhost:3000/",
+        outputPath: "docs/home.webp",
+        path: path.resolve("/workspace", "docs/home.webp"),
+        browser: "chromium",
+        device: "default",
+        format: "webp",
+        width: 1280,
+        height: 800,
+        bytes: 3,
+        // SHA-256 of the bytes written, the mocked encode "enc"
+        hash: "5fb2ab76ed9bda034b192c48c7069359252fccda168d925acc0ae7d316c0b53e",
+        status: "updated",
+        diagnostics: { status: null, console: [], exceptions: [], requests: [] },
+        timing: { captureMs: expect.any(Number), saveMs: expect.any(Number) },
+      },
+    ]);
+    expect(mocks.outputs.manifest).toBe(manifestPath);
+  });
+
+  test("Leaves outputs whose pixels match the new capture untouched", async () => {
+    const mocks = buildMocks();
+    // 1x1 RGBA pixels per image: the capture encodes to "enc", same.png matches it, changed.png does not
+    const pixels = { enc: [10, 20, 30, 255], same: [10, 20, 30, 255], changed: [90, 20, 30, 255] };
+    mocks.sharp.mockImplementation((input) => ({
+      ...mocks.sharpInstance,
+      metadata: jest.fn(() => Promise.resolve({ format: "png", width: 1, height: 1, size: 5 })),
+      ensureAlpha: jest.fn().mockReturnThis(),
+      raw: jest.fn().mockReturnThis(),
+      toBuffer: jest.fn(() =>
+        Promise.resolve({ data: Buffer.from(pixels[String(input)] ?? "enc"), info: { width: 1, height: 1 } }),
+      ),
+    }));
+    mocks.readFile.mockImplementation((file) =>
+      file.endsWith(".png")
+        ? Promise.resolve(Buffer.from(path.basename(file, ".png")))
+        : Promise.reject({ code: "ENOENT" }),
+    );
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=same.png, /about.html=changed.png";
+        process.env.INPUT_SKIP_UNCHANGED = "true";
+      },
+    );
+
+    expect(encodedPaths(mocks.writeFile)).toEqual([path.resolve("/workspace", "changed.png")]);
+    expect(mocks.outputs.updated_paths).toBe(path.resolve("/workspace", "changed.png"));
+    expect(mocks.outputs.unchanged_paths).toBe(path.resolve("/workspace", "same.png"));
+  });
+
+  test("Keeps lossy and palette outputs of an unchanged page and finds no drift, comparing real sharp encodes", async () => {
+    const mocks = buildMocks();
+    const sharp = jest.requireActual("sharp");
+    // A noisy gradient, which lossy and palette encoders can't store exactly
+    const pixels = Buffer.alloc(64 * 48 * 3, 0).map((_, i) => (i * 37 + (i % 7) * 53) % 256);
+    const capture = await sharp(pixels, { raw: { width: 64, height: 48, channels: 3 } })
+      .png()
+      .toBuffer();
+    mocks.page.screenshot.mockImplementation(() => Promise.resolve(capture));
+    const files = new Map();
+    mocks.readFile.mockImplementation((file) =>
+      files.has(file) ? Promise.resolve(files.get(file)) : Promise.reject({ code: "ENOENT" }),
+    );
+    mocks.writeFile.mockImplementation((file, data) => Promise.resolve(files.set(file, data)));
+    jest.resetModules();
+    jest.doMock("fs", () => ({
+      promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+    }));
+    jest.doMock("playwright", () => ({ chromium: mocks.chromium }));
+    jest.doMock("sharp", () => sharp);
+    jest.doMock("polka", () => mocks.polka);
+    jest.doMock("sirv", () => mocks.sirv);
+    jest.doMock("pino", () => mocks.pino);
+    const { captureScreenshots } = require(path.resolve(process.cwd(), "screenshot.js"));
+    const options = {
+      cwd: path.resolve("/site"),
+      pages: [
+        { url: "/", output: "home.jpg" },
+        { url: "/", output: "home.png" },
+        { url: "/", output: "home.webp" },
+      ],
+      defaults: { delay: 0 },
+      skipUnchanged: true,
+    };
+
+    const first = await captureScreenshots(options);
+    expect(first.captures.map((c) => c.status)).toEqual(["updated", "updated", "updated"]);
+    mocks.writeFile.mockClear();
+    const second = await captureScreenshots(options);
+    expect(second.captures.map((c) => c.status)).toEqual(["unchanged", "unchanged", "unchanged"]);
+    expect(mocks.writeFile).not.toHaveBeenCalled();
+    // Kept files are hashed as they are on disk
+    const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+    expect(second.captures.map((c) => c.hash)).toEqual(first.captures.map((c) => sha256(files.get(c.path))));
+    // Compare mode finds no drift against the same outputs either
+    const compared = await captureScreenshots({ ...options, skipUnchanged: false, compare: true });
+    expect(compared.captures.map((c) => c.diffPercent)).toEqual([0, 0, 0]);
+  });
+
+  test("captureScreenshots() takes options directly and returns structured results", async () => {
+    const mocks = buildMocks();
+    jest.resetModules();
+    jest.doMock("fs", () => ({
+      promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+    }));
+    jest.doMock("playwright", () => ({ chromium: mocks.chromium }));
+    jest.doMock("sharp", () => mocks.sharp);
+    jest.doMock("polka", () => mocks.polka);
+    jest.doMock("sirv", () => mocks.sirv);
+    jest.doMock("pino", () => mocks.pino);
+    const { captureScreenshots } = require(path.resolve(process.cwd(), "screenshot.js"));
+
+    const result = await captureScreenshots({
+      cwd: path.resolve("/site"),
+      pages: [{ url: "/about.html", output: "img/about.png", height: 600 }],
+      defaults: { width: 1440, delay: 0 },
+    });
+
+    expect(mocks.page.setViewportSize).toHaveBeenCalledWith({ width: 1440, height: 600 });
+    expect(mocks.page.waitForTimeout).toHaveBeenCalledWith(0);
+    expect(mocks.writeFile).toHaveBeenCalledWith(path.resolve("/site", "img/about.png"), Buffer.from("enc"));
+    expect(result.errors).toEqual([]);
+    expect(result.captures).toEqual([
+      expect.objectContaining({
+        url: "http://localhost:3000/about.html",
+        outputPath: "img/about.png",
+        status: "updated",
+      }),
+    ]);
+  });
+
+  test("CLI maps --url and kebab-case flags onto the API and resolves to an exit code", async () => {
+    const mocks = buildMocks();
+    jest.resetModules();
+    jest.doMock("fs", () => ({
+      promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+    }));
+    jest.doMock("playwright", () => ({ chromium: mocks.chromium }));
+    jest.doMock("sharp", () => mocks.sharp);
+    jest.doMock("polka", () => mocks.polka);
+    jest.doMock("sirv", () => mocks.sirv);
+    jest.doMock("pino", () => mocks.pino);
+    const { main } = require(path.resolve(process.cwd(), "cli.js"));
+
+    const code = await main(["--url", "/=out.webp", "--url", "/docs/=docs.png", "--width", "1440", "--full-page"]);
+
+    expect(code).toBe(0);
+    expect(mocks.page.setViewportSize).toHaveBeenCalledWith({ width: 1440, height: 800 });
+    expect(mocks.page.screenshot).toHaveBeenCalledWith({ fullPage: true });
+    expect(encodedPaths(mocks.writeFile)).toEqual([
+      path.resolve(process.cwd(), "out.webp"),
+      path.resolve(process.cwd(), "docs.png"),
+    ]);
+  });
+
+  test("Serves a root directory under a base path with SPA fallback, headers and a free port fallback", async () => {
+    const mocks = buildMocks();
+    // The configured port is taken: report EADDRINUSE, then listen on the free port the OS picks
+    mocks.app.listen.mockImplementation((port, host, cb) => {
+      mocks.httpServer.listen.mockImplementation(() => ((mocks.httpServer.port = 49152), setImmediate(cb)));
+      setImmediate(() => mocks.httpServer.on.mock.calls[0][1]({ code: "EADDRINUSE" }));
+      return { server: mocks.httpServer };
+    });
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=home.png, /repo-name/docs/=docs.png";
+        process.env.INPUT_ROOT = "dist";
+        process.env.INPUT_BASE_PATH = "repo-name";
+        process.env.INPUT_SPA = "true";
+        process.env.INPUT_HEADERS = '{"Cache-Control":"no-store"}';
+      },
+    );
+
+    expect(mocks.sirv).toHaveBeenCalledWith(path.resolve("/workspace", "dist"), { dev: true, single: true });
+    expect(mocks.httpServer.listen).toHaveBeenCalledWith(0, "0.0.0.0");
+    // Paths with or without the base path resolve under it, on the port actually used
+    expect(mocks.page.goto.mock.calls.map((c) => c[0])).toEqual([
+      "http://localhost:49152/repo-name/",
+      "http://localhost:49152/repo-name/docs/",
+    ]);
+
+    // The first middleware sets headers and strips the base path before sirv sees the request
+    const middleware = mocks.app.use.mock.calls[0][0];
+    const res = { setHeader: jest.fn(), end: jest.fn() };
+    const next = jest.fn();
+    const req = { url: "/repo-name/app.js" };
+    middleware(req, res, next);
+    expect(res.setHeader).toHaveBeenCalledWith("Cache-Control", "no-store");
+    expect([req.url, next.mock.calls.length]).toEqual(["/app.js", 1]);
+    middleware({ url: "/elsewhere.js" }, res, next);
+    expect([res.statusCode, next.mock.calls.length]).toEqual([404, 1]);
+  });
+
+  test("Runs a server command, waits for its ready log line, captures against it and stops its process group", async () => {
+    const mocks = buildMocks();
+    const { EventEmitter } = require("events");
+    const child = Object.assign(new EventEmitter(), {
+      pid: 4321,
+      exitCode: null,
+      signalCode: null,
+      stdout: new EventEmitter(),
+      stderr: new EventEmitter(),
+    });
+    const spawn = jest.fn(() => {
+      setImmediate(() =>
+        child.stdout.emit("data", Buffer.from("\x1b[32m  ➜  Local:   http://localhost:5173/app/\x1b[0m\n")),
+      );
+      return child;
+    });
+    const kill = jest.spyOn(process, "kill").mockImplementation(() => {
+      child.exitCode = 0;
+      child.emit("exit", 0);
+    });
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        child_process: () => ({ spawn }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=home.png, /app/pricing=pricing.png";
+        process.env.INPUT_SERVER_COMMAND = "npm run preview";
+        process.env.INPUT_SERVER_URL = "http://localhost:5173/app/";
+        process.env.INPUT_SERVER_READY_PATTERN = "Local:\\s+http";
+      },
+    );
+
+    expect(spawn).toHaveBeenCalledWith(
+      "npm run preview",
+      expect.objectContaining({ cwd: path.resolve("/workspace"), shell: true }),
+    );
+    expect(mocks.polka).not.toHaveBeenCalled();
+    expect(mocks.page.goto.mock.calls.map((c) => c[0])).toEqual([
+      "http://localhost:5173/app/",
+      "http://localhost:5173/app/pricing",
+    ]);
+    // Stopped after capturing, by signalling the process group
+    expect(kill).toHaveBeenCalledWith(-4321, "SIGTERM");
+    expect(kill.mock.invocationCallOrder[0]).toBeGreaterThan(mocks.writeFile.mock.invocationCallOrder[1]);
+    kill.mockRestore();
+  });
+
+  test("Stops the server command's process group before exiting on SIGINT or SIGTERM", async () => {
+    const mocks = buildMocks();
+    const { EventEmitter } = require("events");
+    const child = Object.assign(new EventEmitter(), {
+      pid: 4321,
+      exitCode: null,
+      signalCode: null,
+      stdout: new EventEmitter(),
+      stderr: new EventEmitter(),
+    });
+    const spawn = jest.fn(() => {
+      setImmediate(() => child.stdout.emit("data", Buffer.from("ready\n")));
+      return child;
+    });
+    const kill = jest.spyOn(process, "kill").mockImplementation((pid) => {
+      if (pid !== -4321) return;
+      child.exitCode = 0;
+      child.emit("exit", 0);
+    });
+    const listeners = () => process.listenerCount("SIGINT") + process.listenerCount("SIGTERM");
+    const before = listeners();
+    // The job is cancelled while the page loads
+    mocks.page.goto.mockImplementation(() => {
+      process.emit("SIGTERM", "SIGTERM");
+      return new Promise((resolve) => setImmediate(resolve));
+    });
+    jest.resetModules();
+    jest.doMock("child_process", () => ({ spawn }));
+    jest.doMock("fs", () => ({
+      promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+    }));
+    jest.doMock("playwright", () => ({ chromium: mocks.chromium }));
+    jest.doMock("sharp", () => mocks.sharp);
+    jest.doMock("pino", () => mocks.pino);
+    const { captureScreenshots } = require(path.resolve(process.cwd(), "screenshot.js"));
+
+    await captureScreenshots({
+      cwd: path.resolve("/site"),
+      pages: [{ url: "/", output: "home.png" }],
+      defaults: { delay: 0 },
+      serverCommand: "npm run preview",
+      serverUrl: "http://localhost:5173/",
+      serverReadyPattern: "ready",
+    });
+
+    expect(kill.mock.calls.slice(0, 2)).toEqual([
+      [-4321, "SIGTERM"],
+      [process.pid, "SIGTERM"],
+    ]);
+    expect(listeners()).toBe(before);
+    kill.mockRestore();
+  });
+
+  test("Crawls same-origin links within include/exclude globs and names outputs by URL path", async () => {
+    const mocks = buildMocks();
+    const links = {
+      "http://localhost:3000/": ["/docs/a.html", "/docs/index.html", "/logo.png", "https://other.com/", "/blog/x"],
+      "http://localhost:3000/docs/a.html": ["/docs/a.html#top", "/docs/b.html", "/docs/c.html"],
+    };
+    let current = null;
+    mocks.page.goto = jest.fn((url) => Promise.resolve((current = url)));
+    mocks.page.evaluate = jest.fn(() =>
+      Promise.resolve((links[current] || []).map((link) => new URL(link, current).href)),
+    );
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/docs/a.html=a.png";
+        process.env.INPUT_DISCOVER = "crawl";
+        process.env.INPUT_DISCOVER_INCLUDE = "/docs/**";
+        process.env.INPUT_DISCOVER_EXCLUDE = "/docs/b*";
+        process.env.INPUT_DISCOVER_OUTPUT = "shots/{path}.png";
+      },
+    );
+
+    // Out-of-scope, external and non-HTML links are never visited; the listed page keeps its own output
+    expect(mocks.page.goto.mock.calls.map((c) => c[0])).toEqual([
+      "http://localhost:3000/",
+      "http://localhost:3000/docs/a.html",
+      "http://localhost:3000/docs/",
+      "http://localhost:3000/docs/a.html",
+      "http://localhost:3000/docs/",
+      "http://localhost:3000/docs/c.html",
+    ]);
+    expect(encodedPaths(mocks.writeFile)).toEqual([
+      path.resolve("/workspace", "a.png"),
+      path.resolve("/workspace", "shots/docs/index.png"),
+      path.resolve("/workspace", "shots/docs/c.png"),
+    ]);
+  });
+
+  test("Stops crawling once discover_limit new pages are found, not counting listed pages", async () => {
+    const mocks = buildMocks();
+    const links = {
+      "http://localhost:3000/": ["/docs/a.html", "/docs/b.html", "/docs/c.html"],
+      "http://localhost:3000/docs/a.html": ["/docs/d.html"],
+    };
+    let current = null;
+    mocks.page.goto = jest.fn((url) => Promise.resolve((current = url)));
+    mocks.page.evaluate = jest.fn(() =>
+      Promise.resolve((links[current] || []).map((link) => new URL(link, current).href)),
+    );
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/docs/a.html=a.png";
+        process.env.INPUT_DISCOVER = "crawl";
+        process.env.INPUT_DISCOVER_INCLUDE = "/docs/**";
+        process.env.INPUT_DISCOVER_LIMIT = "1";
+        process.env.INPUT_DISCOVER_OUTPUT = "shots/{path}.png";
+      },
+    );
+
+    // The listed a.html is crawled but not counted; finding b.html ends the crawl before b.html or c.html load
+    expect(mocks.page.goto.mock.calls.map((c) => c[0])).toEqual([
+      "http://localhost:3000/",
+      "http://localhost:3000/docs/a.html",
+      "http://localhost:3000/docs/a.html",
+      "http://localhost:3000/docs/b.html",
+    ]);
+    expect(encodedPaths(mocks.writeFile)).toEqual([
+      path.resolve("/workspace", "a.png"),
+      path.resolve("/workspace", "shots/docs/b.png"),
+    ]);
+  });
+
+  test("Discovers HTML files under the root, skipping the srcset snippet a previous run wrote there", async () => {
+    const mocks = buildMocks();
+    const entry = (name, directory = false) => ({ name, isDirectory: () => directory });
+    const tree = {
+      [path.resolve("/workspace")]: [entry("index.html"), entry("docs", true), entry("node_modules", true)],
+      [path.resolve("/workspace", "docs")]: [entry("intro.html"), entry("screenshots.html"), entry("home.png")],
+    };
+    const readdir = jest.fn((dir) => Promise.resolve(tree[dir]));
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm, readdir },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.INPUT_DISCOVER = "html";
+        process.env.INPUT_SRCSET = "docs/screenshots.html";
+      },
+    );
+
+    expect(mocks.page.goto.mock.calls.map((c) => c[0])).toEqual([
+      "http://localhost:3000/",
+      "http://localhost:3000/docs/intro.html",
+    ]);
+    expect(mocks.writeFile).toHaveBeenCalledWith(
+      path.resolve("/workspace", "docs/screenshots.html"),
+      expect.any(String),
+    );
+  });
+
+  test("Reads pages from a sitemap index and captures production URLs from the local server", async () => {
+    const mocks = buildMocks();
+    const sitemaps = {
+      "http://localhost:3000/sitemap.xml":
+        "<sitemapindex><sitemap><loc>https://example.com/sitemap-pages.xml</loc></sitemap></sitemapindex>",
+      "http://localhost:3000/sitemap-pages.xml":
+        "<urlset><url><loc>https://example.com/</loc></url><url><loc> https://example.com/about.html </loc></url></urlset>",
+    };
+    const fetch = jest
+      .spyOn(global, "fetch")
+      .mockImplementation((url) => Promise.resolve({ ok: true, text: () => Promise.resolve(sitemaps[url]) }));
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.INPUT_DISCOVER = "sitemap";
+      },
+    );
+    fetch.mockRestore();
+
+    expect(mocks.page.goto.mock.calls.map((c) => c[0])).toEqual([
+      "http://localhost:3000/",
+      "http://localhost:3000/about.html",
+    ]);
+    expect(mocks.outputs.screenshot_paths).toBe(
+      ["screenshots/index.webp", "screenshots/about.webp"].map((file) => path.resolve("/workspace", file)).join(","),
+    );
+  });
+
+  test("Retries failed pages on a fresh context, keeps capturing with continueOnError and applies failOn", async () => {
+    const mocks = buildMocks();
+    jest.resetModules();
+    jest.doMock("fs", () => ({
+      promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+    }));
+    jest.doMock("playwright", () => ({ chromium: mocks.chromium }));
+    jest.doMock("sharp", () => mocks.sharp);
+    jest.doMock("polka", () => mocks.polka);
+    jest.doMock("sirv", () => mocks.sirv);
+    jest.doMock("pino", () => mocks.pino);
+    const { captureScreenshots } = require(path.resolve(process.cwd(), "screenshot.js"));
+
+    // flaky.html fails once, broken.html always fails
+    let flaky = 0;
+    mocks.page.goto.mockImplementation((url) =>
+      url.endsWith("/broken.html") || (url.endsWith("/flaky.html") && flaky++ === 0)
+        ? Promise.reject(new Error("net::ERR_CONNECTION_RESET"))
+        : Promise.resolve(),
+    );
+    const pages = [
+      { url: "/flaky.html", output: "flaky.png" },
+      { url: "/broken.html", output: "broken.png" },
+      { url: "/ok.html", output: "ok.png" },
+    ];
+    const result = await captureScreenshots({
+      cwd: path.resolve("/site"),
+      pages,
+      defaults: { delay: 0, retries: 1, retryDelay: 0 },
+      continueOnError: true,
+      failOn: "all",
+    });
+
+    expect(mocks.page.goto).toHaveBeenCalledTimes(5);
+    expect(mocks.browser.newPage).toHaveBeenCalledTimes(4); // fresh context after every failure
+    expect(mocks.pinoInstance.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ url: "http://localhost:3000/flaky.html", attempt: 1 }),
+      "Capture failed, retrying",
+    );
+    expect(result.captures.map((capture) => capture.outputPath)).toEqual(["flaky.png", "ok.png"]);
+    expect(result.failures).toEqual([
+      expect.objectContaining({
+        outputPath: "broken.png",
+        status: "failed",
+        attempts: 2,
+        error: "net::ERR_CONNECTION_RESET",
+      }),
+    ]);
+    expect(result.errors).toEqual([]); // some pages were captured
+    expect(mocks.browser.close).toHaveBeenCalled();
+
+    // failOn: any fails the run on the same failure
+    const strict = await captureScreenshots({ cwd: path.resolve("/site"), pages, continueOnError: true });
+    expect(strict.errors).toEqual(["Failed to capture 1 of 3: broken.png (net::ERR_CONNECTION_RESET)"]);
+  });
+
+  test("Skips remaining pages after a failure and still closes the browser", async () => {
+    const mocks = buildMocks();
+    mocks.page.goto.mockRejectedValue(new Error("Timeout 30000ms exceeded"));
+    const exit = jest.spyOn(process, "exit").mockImplementation(() => {});
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/a.html=a.png,/b.html=b.png";
+        process.env.INPUT_DELAY = "0";
+      },
+    );
+
+    expect(mocks.page.goto).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(mocks.outputs.failures)).toEqual([
+      expect.objectContaining({ outputPath: "a.png", status: "failed", attempts: 1 }),
+      expect.objectContaining({ outputPath: "b.png", status: "skipped", attempts: 0 }),
+    ]);
+    expect(mocks.pinoInstance.info).toHaveBeenCalledWith({ captured: 0, failed: 1, skipped: 1 }, "Capture summary");
+    expect(mocks.browser.close).toHaveBeenCalled();
+    expect(mocks.httpServer.close).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(1);
+    exit.mockRestore();
+  });
+
+  test("Reports console errors, exceptions, failed requests and the page status, failing only on chosen rules", async () => {
+    const mocks = buildMocks();
+    // Each load answers 404 and raises one of every kind of error
+    const listeners = {};
+    mocks.page.on.mockImplementation((event, listener) => (listeners[event] = listener));
+    const response = (url, status, frame = "iframe") => ({
+      url: () => url,
+      status: () => status,
+      request: () => ({ isNavigationRequest: () => url.endsWith(".html"), frame: () => frame }),
+    });
+    mocks.page.goto.mockImplementation(async () => {
+      listeners.response(response("http://localhost:3000/missing.html", 404, "main"));
+      listeners.response(response("http://localhost:3000/api/data", 500));
+      listeners.response(response("http://localhost:3000/favicon.ico", 404));
+      listeners.requestfailed({
+        url: () => "https://cdn.example.com/app.js",
+        failure: () => ({ errorText: "net::ERR_FAILED" }),
+      });
+      listeners.console({ type: () => "error", text: () => "Failed to load resource" });
+      listeners.console({ type: () => "log", text: () => "ready" });
+      listeners.pageerror(new Error("app is not defined"));
+    });
+    const exit = jest.spyOn(process, "exit").mockImplementation(() => {});
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/missing.html=a.png,/missing.html=b.png?failOnPageErrors=status";
+        process.env.INPUT_DELAY = "0";
+        process.env.INPUT_IGNORE_PAGE_ERRORS = "favicon\\.ico\nFailed to load";
+        process.env.INPUT_CONTINUE_ON_ERROR = "true";
+      },
+    );
+
+    const diagnostics = {
+      status: 404,
+      console: [],
+      exceptions: ["app is not defined"],
+      requests: [
+        { url: "http://localhost:3000/api/data", status: 500 },
+        { url: "https://cdn.example.com/app.js", error: "net::ERR_FAILED" },
+      ],
+    };
+    expect(mocks.pinoInstance.warn).toHaveBeenCalledWith(
+      { url: "http://localhost:3000/missing.html", ...diagnostics },
+      "Page errors",
+    );
+    expect(mocks.page.off).toHaveBeenCalledTimes(8); // listeners removed after each page
+
+    // a.png is captured despite its errors; b.png fails on its status
+    expect(mocks.outputs.screenshot_paths).toBe(path.resolve("/workspace", "a.png"));
+    expect(JSON.parse(mocks.outputs.page_errors)).toEqual({ "a.png": diagnostics, "b.png": diagnostics });
+    expect(JSON.parse(mocks.outputs.failures)).toEqual([
+      expect.objectContaining({
+        outputPath: "b.png",
+        error: "Page errors in http://localhost:3000/missing.html: HTTP 404",
+      }),
+    ]);
+    expect(exit).toHaveBeenCalledWith(1);
+    exit.mockRestore();
+  });
+
+  test("Writes ARIA and text snapshots next to captures and diffs them against baselines in compare mode", async () => {
+    const mocks = buildMocks();
+    const root = {
+      ariaSnapshot: jest.fn(() => Promise.resolve('- banner:\n  - heading "Home" [level=1]\n- button "Sign up"')),
+      innerText: jest.fn(() => Promise.resolve("Home\nSign up\n\n")),
+    };
+    mocks.page.locator = jest.fn(() => root);
+    const baselines = {
+      [path.resolve("/workspace", "docs/home.aria.yml")]:
+        '- banner:\n  - heading "Home" [level=1]\n- button "Subscribe"\n',
+      [path.resolve("/workspace", "docs/home.txt")]: "Home\nSign up\n",
+    };
+    mocks.readFile.mockImplementation((file) =>
+      file in baselines
+        ? Promise.resolve(baselines[file])
+        : Promise.reject(Object.assign(new Error("ENOENT"), { code: "ENOENT" })),
+    );
+    const writeFile = jest.fn(() => Promise.resolve());
+    const rm = jest.fn(() => Promise.resolve());
+    const exit = jest.spyOn(process, "exit").mockImplementation(() => {});
+    await withMockedModules(
+      {
+        fs: () => ({ promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile, rm } }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/=docs/home.png";
+        process.env.INPUT_SNAPSHOTS = "aria, text";
+        process.env.INPUT_COMPARE = "true";
+      },
+    );
+
+    expect(mocks.page.locator).toHaveBeenCalledWith("body");
+    // The matching text snapshot is left alone; the changed ARIA snapshot is rewritten with a diff next to it
+    expect(writeFile.mock.calls.map((c) => c[0])).toEqual([
+      path.resolve("/workspace", "docs/home.png"),
+      path.resolve("/workspace", "docs/home.aria.yml"),
+      path.resolve("/workspace", "docs/home.aria.yml.diff"),
+    ]);
+    expect(writeFile.mock.calls[2][1]).toBe(
+      [
+        "--- docs/home.aria.yml",
+        "+++ docs/home.aria.yml",
+        "@@ -1,3 +1,3 @@",
+        " - banner:",
+        '   - heading "Home" [level=1]',
+        '-- button "Subscribe"',
+        '+- button "Sign up"',
+        "",
+      ].join("\n"),
+    );
+    // The text snapshot matches its baseline, so a diff from an earlier run is removed
+    expect(rm).toHaveBeenCalledWith(path.resolve("/workspace", "docs/home.txt.diff"), { force: true });
+    expect(rm).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(mocks.outputs.snapshot_diffs)).toEqual({ "docs/home.aria.yml": { added: 1, removed: 1 } });
+    expect(mocks.pinoInstance.error).toHaveBeenCalledWith(
+      { error: "Snapshots changed: docs/home.aria.yml (+1 -1)" },
+      "Error taking screenshot",
+    );
+    expect(exit).toHaveBeenCalledWith(1);
+    exit.mockRestore();
+  });
+
+  test("Names HTML snapshots so they never overwrite the page they capture", async () => {
+    const mocks = buildMocks();
+    mocks.page.content = jest.fn(() => Promise.resolve("<html><body>About</body></html>"));
+    mocks.page.locator = jest.fn(() => ({}));
+    const writeFile = jest.fn(() => Promise.resolve());
+    jest.resetModules();
+    jest.doMock("fs", () => ({ promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile } }));
+    jest.doMock("playwright", () => ({ chromium: mocks.chromium }));
+    jest.doMock("sharp", () => mocks.sharp);
+    jest.doMock("polka", () => mocks.polka);
+    jest.doMock("sirv", () => mocks.sirv);
+    jest.doMock("pino", () => mocks.pino);
+    const { captureScreenshots } = require(path.resolve(process.cwd(), "screenshot.js"));
+
+    const result = await captureScreenshots({
+      cwd: path.resolve("/site"),
+      pages: [{ url: "/about.html", output: "about.png" }],
+      defaults: { delay: 0, snapshots: ["html"] },
+    });
+
+    expect(writeFile.mock.calls.map((c) => c[0])).toEqual([
+      path.resolve("/site", "about.png"),
+      path.resolve("/site", "about.dom.html.txt"),
+    ]);
+    expect(writeFile).toHaveBeenCalledWith(
+      path.resolve("/site", "about.dom.html.txt"),
+      "<html><body>About</body></html>\n",
+    );
+    expect(result.captures[0].snapshots).toEqual([
+      expect.objectContaining({ kind: "html", outputPath: "about.dom.html.txt", status: "updated" }),
+    ]);
+  });
+
+  test("Opens a fresh page after a job that froze the clock, so later pages run in real time", async () => {
+    const mocks = buildMocks();
+    mocks.page.clock = { setFixedTime: jest.fn(() => Promise.resolve()) };
+    mocks.page.addInitScript = jest.fn(() => Promise.resolve());
+    await withMockedModules(
+      {
+        fs: () => ({
+          promises: { mkdir: mocks.mkdir, readFile: mocks.readFile, writeFile: mocks.writeFile, rm: mocks.rm },
+        }),
+        playwright: () => ({ chromium: mocks.chromium }),
+        sharp: () => mocks.sharp,
+        polka: () => mocks.polka,
+        sirv: () => mocks.sirv,
+        pino: () => mocks.pino,
+        "@actions/core": () => mocks.core,
+      },
+      () => {
+        process.env.SCREENSHOTS = "/a.html=a.png?clock=2024-01-01T00:00:00Z&randomSeed=7,/b.html=b.png,/c.html=c.png";
+        process.env.INPUT_DELAY = "0";
+      },
+    );
+
+    // a.png's page is closed before b.png; b.png and c.png share a page with the real clock
+    expect(mocks.page.clock.setFixedTime).toHaveBeenCalledTimes(1);
+    expect(mocks.page.clock.setFixedTime).toHaveBeenCalledWith(new Date("2024-01-01T00:00:00Z"));
+    expect(mocks.page.addInitScript).toHaveBeenCalledTimes(1);
+    expect(mocks.browser.newPage).toHaveBeenCalledTimes(2);
+    expect(mocks.page.close.mock.invocationCallOrder[0]).toBeLessThan(mocks.page.goto.mock.invocationCallOrder[1]);
+    expect(mocks.outputs.screenshot_paths.split(",")).toHaveLength(3);
+  });
 });